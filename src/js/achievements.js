@@ -0,0 +1,174 @@
+// src/js/achievements.js - Achievements unlocked by drill events and finished sessions
+//
+// Rules are plain data: the event they listen to ('punch', 'levelUp',
+// 'sessionEnd' or 'workoutEnd') and either a `when(event, stats)` test or a `streak` of
+// consecutive matching events. Unlocked ids are kept in gameState.achievements.
+import { gameState, playSound, escapeHTML } from '/src/js/utils.js';
+import { showNotification } from '/src/js/game.js';
+
+/*
+ * Events:
+ *   punch      { punch, grade, mode, combo, level } - after the drill has seen it
+ *   levelUp    { level, drill }                     - a level earned in a drill (not a start level)
+ *   sessionEnd { record }                           - see TrainingSession.toRecord()
+ *   workoutEnd { completed, rounds }                - rounds workouts only
+ * `stats` is gameState.getAll() (lifetime totals, this punch included).
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-session',
+    icon: '🔔',
+    name: 'First Bell',
+    description: 'Finish your first session',
+    on: 'sessionEnd',
+    when: () => true,
+  },
+  {
+    id: 'punches-100',
+    icon: '💯',
+    name: 'Century',
+    description: 'Throw 100 punches',
+    on: 'punch',
+    when: (event, stats) => stats.totalPunches >= 100,
+  },
+  {
+    id: 'punches-1000',
+    icon: '👊',
+    name: 'Thousand Fists',
+    description: 'Throw 1,000 punches',
+    on: 'punch',
+    when: (event, stats) => stats.totalPunches >= 1000,
+  },
+  {
+    id: 'combo-20',
+    icon: '🔥',
+    name: 'On Fire',
+    description: 'Land a 20x combo',
+    on: 'punch',
+    when: (event) => event.combo >= 20,
+  },
+  {
+    id: 'mitts-level-7',
+    icon: '🥊',
+    name: 'Full Arsenal',
+    description: 'Reach mitts level 7',
+    on: 'levelUp',
+    when: (event) => event.drill === 'mitts' && event.level >= 7,
+  },
+  {
+    id: 's-streak-10',
+    icon: '⭐',
+    name: 'Textbook',
+    description: '10 S-grade punches in a row',
+    on: 'punch',
+    streak: { matches: (event) => event.grade === 'S', length: 10 },
+  },
+  {
+    id: 'score-5000',
+    icon: '🏅',
+    name: 'Big Night',
+    description: 'Score 5,000 points in one session',
+    on: 'sessionEnd',
+    when: ({ record }) => record.score >= 5000,
+  },
+  {
+    id: 'workout-12-rounds',
+    icon: '🏆',
+    name: 'Championship Distance',
+    description: 'Complete a 12-round workout',
+    on: 'workoutEnd',
+    when: ({ completed, rounds }) => completed && rounds.length >= 12,
+  },
+];
+
+export class AchievementTracker {
+  /**
+   * @param {Object} options - { rules, onUnlock(achievement) }
+   */
+  constructor({ rules = ACHIEVEMENTS, onUnlock = announceAchievement } = {}) {
+    this.rules = rules;
+    this.onUnlock = onUnlock;
+    this.reset();
+  }
+
+  // Streaks don't carry over between sessions
+  reset() {
+    this.streaks = {};
+  }
+
+  isUnlocked(id) {
+    return (gameState.get('achievements') || []).includes(id);
+  }
+
+  getAll() {
+    return this.rules.map(rule => ({ ...rule, unlocked: this.isUnlocked(rule.id) }));
+  }
+
+  /**
+   * Check the rules listening to an event
+   * @returns {Array} Rules it meets that weren't unlocked yet
+   */
+  check(eventName, event = {}) {
+    const stats = gameState.getAll();
+    return this.rules.filter(rule => {
+      if (rule.on !== eventName) return false;
+      if (rule.streak) {
+        this.streaks[rule.id] = rule.streak.matches(event) ? (this.streaks[rule.id] || 0) + 1 : 0;
+        if (this.streaks[rule.id] < rule.streak.length) return false;
+      } else if (!rule.when(event, stats)) {
+        return false;
+      }
+      return !this.isUnlocked(rule.id);
+    });
+  }
+
+  // check() and unlock; waits for the saved list so nothing is unlocked twice
+  async emit(eventName, event = {}) {
+    const matched = this.check(eventName, event);
+    if (matched.length === 0) return [];
+
+    await gameState.init();
+    const unlocked = matched.filter(rule => gameState.unlockAchievement(rule.id));
+    unlocked.forEach(rule => this.onUnlock(rule));
+    return unlocked;
+  }
+}
+
+export function announceAchievement(achievement) {
+  console.log(`🏆 Achievement unlocked: ${achievement.name}`);
+  playSound('combo');
+  showNotification(`${achievement.icon} Achievement unlocked!\n${achievement.name}`, 'achievement');
+}
+
+export class TrophyCase {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.panel = document.getElementById('trophy-case');
+    this.grid = document.getElementById('trophy-grid');
+
+    document.getElementById('trophy-close').addEventListener('click', () => this.close());
+  }
+
+  async open() {
+    await gameState.init();
+    this.render();
+    this.panel.classList.remove('hidden');
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  render() {
+    const achievements = this.tracker.getAll();
+    const unlocked = achievements.filter(a => a.unlocked).length;
+    document.getElementById('trophy-count').textContent = `${unlocked}/${achievements.length}`;
+
+    this.grid.innerHTML = achievements.map(a => `
+      <div class="rounded-xl p-3 border text-center ${a.unlocked ? 'bg-yellow-900/30 border-yellow-600' : 'bg-gray-900 border-gray-800 opacity-50'}">
+        <p class="text-3xl">${a.unlocked ? a.icon : '🔒'}</p>
+        <p class="font-bold text-sm ${a.unlocked ? 'text-yellow-400' : 'text-gray-400'}">${escapeHTML(a.name)}</p>
+        <p class="text-xs text-gray-400">${escapeHTML(a.description)}</p>
+      </div>`).join('');
+  }
+}
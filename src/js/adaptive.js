@@ -0,0 +1,77 @@
+// src/js/adaptive.js - Adaptive difficulty for the Focus Mitt drill
+//
+// Every `windowSize` targets the rolling accuracy, perfect rate and best streak
+// go through getDifficultyRecommendation(). Its suggestedSpeed scales the pace
+// (reaction window and gap between targets) and the punch mix grows or shrinks
+// one group at a time, so the user stays inside the target success band.
+import { getDifficultyRecommendation, TARGET_SUCCESS_BAND } from '/src/js/scoring.js';
+
+// Added to the mix in this order (hooks, then uppercuts, then body shots)
+export const PUNCH_GROUPS = [
+  ['Jab', 'Cross'],
+  ['Left Hook', 'Right Hook'],
+  ['Left Uppercut', 'Right Uppercut'],
+  ['Left Body', 'Right Body'],
+];
+
+const DEFAULT_WINDOW = 10;
+const MIN_PACE = 0.6;
+const MAX_PACE = 2.0;
+
+export class AdaptiveDifficulty {
+  /**
+   * @param {Object} options - { windowSize, band: { min, max }, punchGroups (starting mix) }
+   */
+  constructor({ windowSize = DEFAULT_WINDOW, band = TARGET_SUCCESS_BAND, punchGroups = 1 } = {}) {
+    this.windowSize = Math.max(3, windowSize);
+    this.band = band;
+    this.pace = 1;
+    this.punchGroups = Math.min(Math.max(1, punchGroups), PUNCH_GROUPS.length);
+    this.outcomes = [];
+  }
+
+  getPunchTypes() {
+    return PUNCH_GROUPS.slice(0, this.punchGroups).flat();
+  }
+
+  /**
+   * One target's result
+   * @param {Object} outcome - { hit, perfect }
+   * @returns {Object|null} The evaluation when this target completed a window
+   */
+  record({ hit, perfect = false }) {
+    this.outcomes.push({ hit, perfect: hit && perfect });
+    if (this.outcomes.length < this.windowSize) return null;
+
+    const evaluation = this.evaluate();
+    this.outcomes = [];
+    return evaluation;
+  }
+
+  evaluate() {
+    const hits = this.outcomes.filter(o => o.hit).length;
+    const perfect = this.outcomes.filter(o => o.perfect).length;
+    let streak = 0;
+    let maxCombo = 0;
+    this.outcomes.forEach(o => {
+      streak = o.hit ? streak + 1 : 0;
+      maxCombo = Math.max(maxCombo, streak);
+    });
+
+    const stats = {
+      accuracy: (hits / this.outcomes.length) * 100,
+      perfectRate: (perfect / this.outcomes.length) * 100,
+      maxCombo,
+    };
+    const recommendation = getDifficultyRecommendation(stats, this.band);
+
+    this.pace = Math.min(MAX_PACE, Math.max(MIN_PACE, this.pace * recommendation.suggestedSpeed));
+    if (recommendation.adjustment === 'increase') {
+      this.punchGroups = Math.min(PUNCH_GROUPS.length, this.punchGroups + 1);
+    } else if (recommendation.adjustment === 'decrease') {
+      this.punchGroups = Math.max(1, this.punchGroups - 1);
+    }
+
+    return { ...stats, ...recommendation, pace: this.pace, punchGroups: this.punchGroups };
+  }
+}
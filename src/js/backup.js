@@ -0,0 +1,321 @@
+// src/js/backup.js - Back up / restore everything the app keeps for the user
+//
+// One versioned file: lifetime stats and session history (IndexedDB) plus the
+// settings kept in localStorage (calibration, custom combos and playlists,
+// custom programs, curriculum progress, stance, drill settings). Restoring
+// validates the file, previews the changes and then merges into or replaces
+// what's there. Both work on the active athlete profile.
+import { gameState, validateState, downloadAsJSON, escapeHTML } from '/src/js/utils.js';
+import { loadJSON, saveJSON, removeJSON } from '/src/js/storage.js';
+import { parseProgram } from '/src/js/program.js';
+import { validateCalibration } from '/src/js/calibration.js';
+import { validateComboFields, validatePlaylist } from '/src/js/comboLibrary.js';
+import { getActiveProfile } from '/src/js/profile.js';
+
+export const BACKUP_FORMAT = 'train-like-aj/backup';
+export const BACKUP_VERSION = 1;
+
+// localStorage keys, owned by these modules
+const SETTINGS = {
+  calibration: 'calibration', // calibration.js
+  combos: 'combos',           // comboLibrary.js
+  programs: 'programs',       // program.js
+  curriculum: 'curriculum',   // curriculum.js
+  stance: 'stance',           // stance.js
+  drillSettings: 'drillSettings', // index.html
+};
+
+const STANCES = ['orthodox', 'southpaw', 'auto'];
+
+export async function createBackup() {
+  await gameState.init();
+  const settings = {};
+  Object.entries(SETTINGS).forEach(([name, key]) => {
+    settings[name] = loadJSON(key, null);
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    profile: getActiveProfile().name,
+    stats: gameState.getAll(),
+    sessions: await gameState.getSessions(),
+    settings,
+  };
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateSettings(settings) {
+  if (!isObject(settings)) throw new Error('"settings" must be an object');
+  const { calibration, combos, programs, curriculum, stance, drillSettings } = settings;
+
+  if (calibration != null) validateCalibration(calibration);
+  if (combos != null) {
+    if (!isObject(combos) || !Array.isArray(combos.combos) || !Array.isArray(combos.playlists || [])) {
+      throw new Error('Custom combos must be { combos: [...], playlists: [...] }');
+    }
+    // Same checks ComboLibrary.load() applies, so nothing restored is silently dropped
+    combos.combos.forEach((combo, i) => {
+      const errors = validateComboFields(combo);
+      if (isObject(combo) && typeof combo.id !== 'string') errors.push('Needs an id');
+      if (errors.length > 0) throw new Error(`Custom combo ${i + 1}: ${errors[0]}`);
+    });
+    (combos.playlists || []).forEach((playlist, i) => {
+      const errors = validatePlaylist(playlist);
+      if (errors.length > 0) throw new Error(`Playlist ${i + 1}: ${errors[0]}`);
+    });
+  }
+  if (programs != null) {
+    if (!Array.isArray(programs)) throw new Error('Programs must be a list');
+    programs.forEach(program => {
+      try {
+        parseProgram(program);
+      } catch (e) {
+        throw new Error(`Program "${program && program.name}": ${e.message}`);
+      }
+    });
+  }
+  if (curriculum != null && (!isObject(curriculum) || !Number.isInteger(curriculum.level))) {
+    throw new Error('Curriculum progress needs a level');
+  }
+  if (stance != null && !STANCES.includes(stance)) {
+    throw new Error(`Unknown stance "${stance}"`);
+  }
+  if (drillSettings != null && !isObject(drillSettings)) {
+    throw new Error('Drill settings must be an object');
+  }
+}
+
+/**
+ * Parse and check a backup file
+ * @param {string|Object} input
+ * @returns {Object} The backup
+ * @throws {Error} Describing what's wrong with it
+ */
+export function parseBackup(input) {
+  let backup = input;
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch (e) {
+      throw new Error('Not a JSON file');
+    }
+  }
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) throw new Error('Not a Train Like AJ backup');
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} isn't supported - update the app first`);
+  }
+
+  validateState(backup.stats);
+  if (!Array.isArray(backup.sessions)) throw new Error('"sessions" must be a list');
+  backup.sessions.forEach((session, i) => {
+    if (!isObject(session) || typeof session.startedAt !== 'string' || typeof session.mode !== 'string'
+      || Number.isNaN(Date.parse(session.startedAt))) {
+      throw new Error(`Session ${i + 1} needs a mode and a start time`);
+    }
+  });
+  validateSettings(backup.settings);
+  return backup;
+}
+
+const count = (list) => (Array.isArray(list) ? list.length : 0);
+
+/**
+ * What restoring would change, one line per part of the backup
+ * @param {Object} backup - parseBackup() result
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Promise<Array>} [{ label, current, incoming, result }]
+ */
+export async function previewRestore(backup, mode) {
+  const current = await createBackup();
+  const replace = mode === 'replace';
+  const sessionKeys = new Set(current.sessions.map(s => `${s.startedAt}|${s.mode}`));
+  const newSessions = backup.sessions.filter(s => !sessionKeys.has(`${s.startedAt}|${s.mode}`)).length;
+  const combos = (settings) => count(settings.combos && settings.combos.combos);
+  const has = (value) => (value == null ? 'none' : 'saved');
+
+  return [
+    {
+      label: 'Sessions',
+      current: current.sessions.length,
+      incoming: backup.sessions.length,
+      result: replace ? `${backup.sessions.length} (yours are deleted)` : `+${newSessions} new`,
+    },
+    {
+      label: 'High score',
+      current: current.stats.highScore,
+      incoming: backup.stats.highScore || 0,
+      result: replace ? backup.stats.highScore || 0 : Math.max(current.stats.highScore, backup.stats.highScore || 0),
+    },
+    {
+      label: 'Total punches',
+      current: current.stats.totalPunches,
+      incoming: backup.stats.totalPunches || 0,
+      result: replace ? backup.stats.totalPunches || 0 : Math.max(current.stats.totalPunches, backup.stats.totalPunches || 0),
+    },
+    {
+      label: 'Custom combos',
+      current: combos(current.settings),
+      incoming: combos(backup.settings),
+      result: replace ? combos(backup.settings) : 'combined',
+    },
+    {
+      label: 'Programs',
+      current: count(current.settings.programs),
+      incoming: count(backup.settings.programs),
+      result: replace ? count(backup.settings.programs) : 'combined',
+    },
+    {
+      label: 'Calibration',
+      current: has(current.settings.calibration),
+      incoming: has(backup.settings.calibration),
+      result: replace || current.settings.calibration == null ? has(backup.settings.calibration) : 'yours kept',
+    },
+    {
+      label: 'Curriculum level',
+      current: current.settings.curriculum ? current.settings.curriculum.level : 1,
+      incoming: backup.settings.curriculum ? backup.settings.curriculum.level : 1,
+      result: replace ? 'from backup' : 'highest kept',
+    },
+    {
+      label: 'Stance',
+      current: current.settings.stance || 'orthodox',
+      incoming: backup.settings.stance || 'orthodox',
+      result: replace || current.settings.stance == null ? backup.settings.stance || 'orthodox' : 'yours kept',
+    },
+  ];
+}
+
+// Lists keyed by id: backup entries only fill in what isn't there
+function unionById(current = [], incoming = []) {
+  const ids = new Set(current.map(item => item.id));
+  return [...current, ...incoming.filter(item => !ids.has(item.id))];
+}
+
+function mergeSettings(current, incoming) {
+  const curriculum = [current.curriculum, incoming.curriculum]
+    .filter(Boolean)
+    .sort((a, b) => b.level - a.level)[0] || null;
+  return {
+    calibration: current.calibration ?? incoming.calibration,
+    combos: current.combos || incoming.combos ? {
+      combos: unionById((current.combos || {}).combos, (incoming.combos || {}).combos),
+      playlists: unionById((current.combos || {}).playlists, (incoming.combos || {}).playlists),
+    } : null,
+    programs: current.programs || incoming.programs ? unionById(current.programs || [], incoming.programs || []) : null,
+    curriculum,
+    stance: current.stance ?? incoming.stance,
+    drillSettings: current.drillSettings ?? incoming.drillSettings,
+  };
+}
+
+/**
+ * Apply a parsed backup. Settings are read at startup, so reload afterwards.
+ * @param {Object} backup - parseBackup() result
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Promise<Object>} { sessionsAdded }
+ */
+export async function restoreBackup(backup, mode) {
+  const replace = mode === 'replace';
+
+  const current = {};
+  Object.entries(SETTINGS).forEach(([name, key]) => {
+    current[name] = loadJSON(key, null);
+  });
+  const settings = replace ? backup.settings : mergeSettings(current, backup.settings);
+  Object.entries(SETTINGS).forEach(([name, key]) => {
+    if (settings[name] == null) removeJSON(key);
+    else saveJSON(key, settings[name]);
+  });
+
+  await gameState.init();
+  gameState.importData(JSON.stringify(backup.stats), { merge: !replace });
+  const sessionsAdded = await gameState.restoreSessions(backup.sessions, { replace });
+  await gameState.save();
+  return { sessionsAdded };
+}
+
+export class BackupDialog {
+  constructor() {
+    this.panel = document.getElementById('restore-dialog');
+    this.preview = document.getElementById('restore-preview');
+    this.fileInput = document.getElementById('restore-file');
+    this.backup = null;
+
+    document.getElementById('backup-download').addEventListener('click', () => this.download());
+    document.getElementById('backup-restore').addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.open(file);
+    });
+    this.panel.querySelectorAll('input[name="restore-mode"]').forEach(input => {
+      input.addEventListener('change', () => this.renderPreview());
+    });
+    document.getElementById('restore-cancel').addEventListener('click', () => this.close());
+    document.getElementById('restore-confirm').addEventListener('click', () => this.restore());
+  }
+
+  getMode() {
+    return this.panel.querySelector('input[name="restore-mode"]:checked').value;
+  }
+
+  async download() {
+    const backup = await createBackup();
+    downloadAsJSON(backup, `train-like-aj-backup-${backup.createdAt.slice(0, 10)}.json`);
+  }
+
+  async open(file) {
+    try {
+      this.backup = parseBackup(await file.text());
+    } catch (e) {
+      alert(`Can't restore this file: ${e.message}`);
+      return;
+    }
+    const created = new Date(this.backup.createdAt).toLocaleString();
+    // Older backups predate profiles
+    document.getElementById('restore-created').textContent = this.backup.profile
+      ? `${created} (${this.backup.profile})`
+      : created;
+    await this.renderPreview();
+    this.panel.classList.remove('hidden');
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+    this.backup = null;
+  }
+
+  async renderPreview() {
+    if (!this.backup) return;
+    const rows = await previewRestore(this.backup, this.getMode());
+    this.preview.innerHTML = rows.map(row => `
+      <tr>
+        <td class="text-left text-gray-400">${escapeHTML(row.label)}</td>
+        <td>${escapeHTML(row.current)}</td>
+        <td>${escapeHTML(row.incoming)}</td>
+        <td class="text-yellow-400">${escapeHTML(row.result)}</td>
+      </tr>`).join('');
+  }
+
+  async restore() {
+    const mode = this.getMode();
+    if (mode === 'replace' && !confirm('Replace all your stats, history and settings with this backup?')) return;
+
+    let sessionsAdded;
+    try {
+      ({ sessionsAdded } = await restoreBackup(this.backup, mode));
+    } catch (e) {
+      console.error('Restore failed:', e);
+      alert(`Restore failed: ${e.message}`);
+      return;
+    }
+    this.close();
+    alert(`Backup restored (${sessionsAdded} sessions added). The app will reload to apply your settings.`);
+    location.reload();
+  }
+}
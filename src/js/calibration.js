@@ -0,0 +1,291 @@
+// src/js/calibration.js - Per-user calibration of detection thresholds
+import { PunchDetector, DEFAULT_THRESHOLDS, getPunchSide, setDetectionThresholds } from '/src/js/punch.js';
+import { setIdealSpeeds, getScoringKey } from '/src/js/scoring.js';
+import { loadJSON, saveJSON, removeJSON } from '/src/js/storage.js';
+import { playSound, speakCoach, clamp } from '/src/js/utils.js';
+import { getStance } from '/src/js/stance.js';
+
+const STORAGE_KEY = 'calibration';
+const CALIBRATION_VERSION = 1;
+
+const CALIBRATED_PUNCHES = ['Jab', 'Cross', 'Left Hook', 'Right Hook', 'Left Uppercut', 'Right Uppercut'];
+const REPS_PER_STEP = 3;
+
+// Slow first so the user learns the rhythm, then the same punch at full speed
+export const CALIBRATION_STEPS = CALIBRATED_PUNCHES.flatMap(punch => [
+  { punch, pace: 'slow' },
+  { punch, pace: 'fast' },
+]);
+
+// Rep segmentation (px/s, same units as SpeedTracker)
+const REP_START_SPEED = 30;  // Hand is moving
+const REP_END_SPEED = 20;    // Hand has settled again
+const REP_END_FRAMES = 3;    // ...for this many frames in a row
+const MIN_REP_FRAMES = 3;    // Shorter bursts are tracking jitter
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function summarize(values) {
+  return {
+    count: values.length,
+    min: values.length ? Math.min(...values) : null,
+    p25: percentile(values, 0.25),
+    median: percentile(values, 0.5),
+    p75: percentile(values, 0.75),
+    max: values.length ? Math.max(...values) : null,
+  };
+}
+
+/**
+ * Turn recorded reps into personal thresholds and ideal speeds.
+ * @param {Array} reps - [{ punch, pace, peakSpeed, maxExtRatio, angleAtPeak }]
+ * @returns {Object} { thresholds, idealSpeeds, distributions }
+ */
+export function deriveCalibration(reps) {
+  const of = (filter, field) => reps.filter(filter).map(r => r[field]);
+  const isStraight = r => r.punch === 'Jab' || r.punch === 'Cross';
+  const isHook = r => r.punch.includes('Hook');
+  const isUppercut = r => r.punch.includes('Uppercut');
+
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+
+  // Slow punches must still register: sit well under the slowest typical rep
+  const slowSpeeds = of(r => r.pace === 'slow', 'peakSpeed');
+  if (slowSpeeds.length) thresholds.minSpeed = Math.round(clamp(percentile(slowSpeeds, 0.25) * 0.6, 20, 200));
+
+  // Straights: most of the user's own reach counts as "extended"
+  const straightExt = of(isStraight, 'maxExtRatio');
+  if (straightExt.length) thresholds.minExtRatio = +clamp(percentile(straightExt, 0.25) * 0.8, 0.3, 1.2).toFixed(2);
+
+  // Hooks: a little more reach than their typical hook
+  const hookExt = of(isHook, 'maxExtRatio');
+  if (hookExt.length) thresholds.maxHookExtRatio = +clamp(percentile(hookExt, 0.75) * 1.15, 0.4, 1.0).toFixed(2);
+
+  // Uppercuts: their elbow bend plus some slack
+  const uppercutAngles = of(isUppercut, 'angleAtPeak');
+  if (uppercutAngles.length) thresholds.maxUppercutAngle = Math.round(clamp(percentile(uppercutAngles, 0.75) + 15, 100, 150));
+
+  // Ideal speed = their median fast punch, per SCORING_CONFIG key
+  const idealSpeeds = {};
+  const fastSpeeds = {};
+  reps.filter(r => r.pace === 'fast').forEach(r => {
+    const key = getScoringKey(r.punch);
+    (fastSpeeds[key] = fastSpeeds[key] || []).push(r.peakSpeed);
+  });
+  Object.entries(fastSpeeds).forEach(([key, speeds]) => {
+    idealSpeeds[key] = Math.round(percentile(speeds, 0.5));
+  });
+  // Hook/uppercut scoring is keyed 'left'/'right', the generic 'hook' key follows both
+  const hookSpeeds = [...(fastSpeeds.left || []), ...(fastSpeeds.right || [])];
+  if (hookSpeeds.length) idealSpeeds.hook = Math.round(percentile(hookSpeeds, 0.5));
+
+  const distributions = {};
+  CALIBRATED_PUNCHES.forEach(punch => {
+    ['slow', 'fast'].forEach(pace => {
+      const matching = r => r.punch === punch && r.pace === pace;
+      if (!reps.some(matching)) return;
+      distributions[punch] = distributions[punch] || {};
+      distributions[punch][pace] = {
+        speed: summarize(of(matching, 'peakSpeed')),
+        extRatio: summarize(of(matching, 'maxExtRatio')),
+        elbowAngle: summarize(of(matching, 'angleAtPeak')),
+      };
+    });
+  });
+
+  return { thresholds, idealSpeeds, distributions };
+}
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Check a saved calibration (e.g. from a backup) before it is applied
+ * @throws {Error} Describing the first bad field
+ */
+export function validateCalibration(calibration) {
+  if (!calibration || typeof calibration !== 'object' || Array.isArray(calibration)) {
+    throw new Error('Calibration must be an object');
+  }
+  if (calibration.version !== CALIBRATION_VERSION) {
+    throw new Error(`Calibration version ${calibration.version} isn't supported (expected ${CALIBRATION_VERSION})`);
+  }
+  const { thresholds, idealSpeeds = {} } = calibration;
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('Calibration is missing its thresholds');
+  }
+  Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+    if (thresholds[key] !== undefined && !isPositiveNumber(thresholds[key])) {
+      throw new Error(`Calibration threshold "${key}" must be a positive number`);
+    }
+  });
+  if (!idealSpeeds || typeof idealSpeeds !== 'object' || Array.isArray(idealSpeeds)) {
+    throw new Error('Calibration ideal speeds must be an object');
+  }
+  Object.entries(idealSpeeds).forEach(([key, speed]) => {
+    if (!isPositiveNumber(speed)) throw new Error(`Calibration ideal speed "${key}" must be a positive number`);
+  });
+}
+
+export function loadCalibration() {
+  const calibration = loadJSON(STORAGE_KEY);
+  return calibration && calibration.version === CALIBRATION_VERSION ? calibration : null;
+}
+
+export function saveCalibration(calibration) {
+  return saveJSON(STORAGE_KEY, calibration);
+}
+
+// Push thresholds into detectPunch() and ideal speeds into calculateScore()
+export function applyCalibration(calibration) {
+  if (!calibration) {
+    setDetectionThresholds(DEFAULT_THRESHOLDS);
+    setIdealSpeeds({});
+    return;
+  }
+  setDetectionThresholds(calibration.thresholds);
+  setIdealSpeeds(calibration.idealSpeeds);
+}
+
+export function clearCalibration() {
+  removeJSON(STORAGE_KEY);
+  applyCalibration(null);
+}
+
+export class CalibrationWizard {
+  constructor(onComplete) {
+    this.feedbackElement = document.getElementById('feedback');
+    this.comboDisplay = document.getElementById('combo-display');
+    this.onComplete = onComplete;
+    this.isRunning = false;
+
+    // Own detector: we only want its speed/angle/extension extras, never its cooldown
+    this.detector = new PunchDetector();
+    this.stepIndex = 0;
+    this.reps = [];
+    this.currentRep = null;
+    this.quietFrames = 0;
+    this.isPaused = false;
+  }
+
+  start() {
+    console.log("🎚️ Calibration Started");
+    this.isRunning = true;
+    this.stepIndex = 0;
+    this.reps = [];
+    this.detector.reset();
+    this.detector.setStance(getStance());
+    speakCoach("Calibration. Throw each punch when I call it, and reset to your guard between reps.");
+    this.showStep();
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.comboDisplay) this.comboDisplay.textContent = "";
+  }
+
+  get currentStep() {
+    return CALIBRATION_STEPS[this.stepIndex];
+  }
+
+  showStep() {
+    const { punch, pace } = this.currentStep;
+    const done = this.reps.filter(r => r.step === this.stepIndex).length;
+
+    this.comboDisplay.textContent = `${pace.toUpperCase()} ${punch.toUpperCase()} ${done}/${REPS_PER_STEP}`;
+    this.feedbackElement.textContent = `Step ${this.stepIndex + 1}/${CALIBRATION_STEPS.length}: ${REPS_PER_STEP} ${pace} ${punch}s`;
+    if (done === 0) speakCoach(`${REPS_PER_STEP} ${pace} ${punch}s`);
+  }
+
+  processFrame(landmarks, width, height) {
+    if (!this.isRunning || this.isPaused) return;
+
+    const { extras } = this.detector.detect(landmarks, width, height);
+    const side = getPunchSide(this.currentStep.punch, getStance());
+    const speed = extras[`${side}Speed`];
+    const extRatio = extras[`${side}ExtRatio`];
+    const angle = extras[`${side}Angle`];
+
+    if (!this.currentRep) {
+      if (speed > REP_START_SPEED) {
+        this.currentRep = { frames: 0, peakSpeed: speed, maxExtRatio: extRatio, angleAtPeak: angle };
+        this.quietFrames = 0;
+      }
+      return;
+    }
+
+    const rep = this.currentRep;
+    rep.frames++;
+    if (speed > rep.peakSpeed) rep.peakSpeed = speed;
+    // Elbow angle is taken at full extension - that's the shape of the punch
+    if (extRatio > rep.maxExtRatio) {
+      rep.maxExtRatio = extRatio;
+      rep.angleAtPeak = angle;
+    }
+
+    this.quietFrames = speed < REP_END_SPEED ? this.quietFrames + 1 : 0;
+    if (this.quietFrames >= REP_END_FRAMES) {
+      this.currentRep = null;
+      if (rep.frames >= MIN_REP_FRAMES) this.recordRep(rep);
+    }
+  }
+
+  recordRep(rep) {
+    const { punch, pace } = this.currentStep;
+    this.reps.push({
+      step: this.stepIndex,
+      punch,
+      pace,
+      peakSpeed: Math.round(rep.peakSpeed),
+      maxExtRatio: +rep.maxExtRatio.toFixed(3),
+      angleAtPeak: Math.round(rep.angleAtPeak),
+    });
+    playSound('punch', { volume: 0.3 });
+
+    const done = this.reps.filter(r => r.step === this.stepIndex).length;
+    if (done < REPS_PER_STEP) {
+      this.showStep();
+      return;
+    }
+
+    // Short breather so the last rep's follow-through isn't counted for the next step
+    this.isPaused = true;
+    this.stepIndex++;
+    this.detector.reset();
+    setTimeout(() => {
+      this.isPaused = false;
+      if (!this.isRunning) return;
+      if (this.stepIndex >= CALIBRATION_STEPS.length) {
+        this.finish();
+      } else {
+        this.showStep();
+      }
+    }, 1000);
+  }
+
+  finish() {
+    const calibration = {
+      version: CALIBRATION_VERSION,
+      createdAt: new Date().toISOString(),
+      ...deriveCalibration(this.reps),
+      reps: this.reps,
+    };
+
+    saveCalibration(calibration);
+    applyCalibration(calibration);
+
+    playSound('levelup');
+    speakCoach("Calibration complete. Detection is tuned to you.");
+    this.feedbackElement.textContent = `✅ Calibrated! Min speed ${calibration.thresholds.minSpeed}, reach ${calibration.thresholds.minExtRatio}`;
+    console.log('🎚️ Calibration:', calibration);
+
+    this.stop();
+    if (this.onComplete) this.onComplete(calibration);
+  }
+}
@@ -1,60 +1,144 @@
 // src/js/combo.js
-import { playSound, speakCoach } from '/src/js/utils.js';
-
-// Standard Boxing Number System
-// 1 = Jab, 2 = Cross, 3 = Left Hook, 4 = Right Hook, 5 = Left Upper, 6 = Right Upper
-const COMBOS = [
-  { id: '1-2', name: "One Two", sequence: ['Jab', 'Cross'] },
-  { id: '1-1-2', name: "Double Jab Cross", sequence: ['Jab', 'Jab', 'Cross'] },
-  { id: '1-2-3', name: "One Two Hook", sequence: ['Jab', 'Cross', 'Left Hook'] },
-  { id: '2-3-2', name: "Cross Hook Cross", sequence: ['Cross', 'Left Hook', 'Cross'] },
-  { id: '1-2-5', name: "One Two Uppercut", sequence: ['Jab', 'Cross', 'Left Uppercut'] },
-  { id: '1-6-3', name: "Jab Upper Hook", sequence: ['Jab', 'Right Uppercut', 'Left Hook'] } // Advanced
-];
+import { playSound, speakCoach, createRandom, hashString } from '/src/js/utils.js';
+import { calculateRhythmScore } from '/src/js/scoring.js';
+import { getPunchSide } from '/src/js/punch.js';
+import { getStance, adaptPunchForStance } from '/src/js/stance.js';
+import { showStanceWarning } from '/src/js/game.js';
+import { isDefenseMove, BLOCK } from '/src/js/defense.js';
+import { BUILT_IN_COMBOS, toComboNotation } from '/src/js/comboLibrary.js';
+import { isCleanCompletion } from '/src/js/curriculum.js';
+
+const STEP_WINDOW_MS = 2000;     // Time to land each step before it counts as a miss
+const FIRST_STEP_BONUS_MS = 1000; // Extra reaction time for the first step of a combo
+const DEFENSE_WINDOW_FACTOR = 1.25;
+const ECHO_GRACE_MS = 250;       // Ignore "wrong" punches this soon after a hit (arm coming back)
+const MAX_RETRIES = 2;           // Failed combos are retried this many times before moving on
 
 export class ComboDrill {
-  constructor(uiElements, onScore) {
+  constructor(uiElements, onScore, options = {}) {
     this.jabTarget = uiElements.jabTarget;
     this.crossTarget = uiElements.crossTarget;
+    this.defenseTarget = uiElements.defenseTarget;
     this.feedbackElement = document.getElementById('feedback');
     this.comboDisplay = document.getElementById('combo-display'); // We will add this to HTML
     
     this.onScore = onScore;
+    this.requireGoodStance = options.requireGoodStance || false; // Punches from a bad stance don't count
+    this.includeDefense = (options.includeDefense && !!this.defenseTarget) || false; // Allow combos with slips/rolls/ducks
+    this.combos = options.combos && options.combos.length > 0 ? options.combos : BUILT_IN_COMBOS; // Library selection / playlist
+    this.curriculum = options.curriculum || null; // CurriculumProgress - only unlocked combos come up
     this.isRunning = false;
     
     this.currentCombo = null;
+    this.sequence = []; // currentCombo.sequence as thrown in the user's stance
     this.stepIndex = 0; // Which punch in the combo are we on?
     this.lastPunchTime = 0;
+    this.stepTimes = []; // When each step of the current combo landed
+    this.targetInterval = options.targetInterval; // Tempo override (ms between punches)
+    this.rhythmHistory = []; // { combo, flowScore, duration, stalls } per finished combo
+
+    this.stepWindow = options.stepWindow || STEP_WINDOW_MS;
+    this.stepTimeout = null;
+    this.stepActive = false; // A target is up and waiting to be hit
+    this.comboTimeout = null; // Pending announce / next-combo delay
+    this.retries = 0; // Retries used on the current combo
+    this.totalHits = 0;
+    this.totalMisses = 0;
+    this.combosCompleted = 0;
+    this.combosFailed = 0;
+    this.comboCount = 0; // Combos landed in a row without a miss
+    this.seed = options.seed || null; // Challenge run: every start replays the same combos
+    this.random = Math.random;
   }
 
   start() {
     console.log("🥊 Combo Trainer Started");
     this.isRunning = true;
+    this.random = this.seed ? createRandom(this.seed) : Math.random;
     speakCoach("Combo Mode. Listen to my voice.");
     this.nextCombo();
   }
 
   stop() {
     this.isRunning = false;
+    this.stepActive = false;
+    clearTimeout(this.stepTimeout);
+    clearTimeout(this.comboTimeout);
     this.hideTargets();
     if (this.comboDisplay) this.comboDisplay.textContent = "";
   }
 
+  // Rest between rounds: targets and timers off, stats kept
+  pause() {
+    this.isRunning = false;
+    this.stepActive = false;
+    clearTimeout(this.stepTimeout);
+    clearTimeout(this.comboTimeout);
+    this.hideTargets();
+    this.updateDisplay('REST');
+  }
+
+  resume() {
+    this.isRunning = true;
+    this.nextCombo();
+  }
+
+  // Follow a RoundEngine: start on the first bell, pause at each round's end, stop at the end
+  bindRounds(rounds) {
+    rounds.on('roundStart', ({ round }) => (round === 1 ? this.start() : this.resume()));
+    rounds.on('roundEnd', () => this.pause());
+    rounds.on('workoutEnd', () => this.stop());
+  }
+
+  // Counters for per-round summaries
+  getStats() {
+    return {
+      hits: this.totalHits,
+      misses: this.totalMisses,
+      combosCompleted: this.combosCompleted,
+      combosFailed: this.combosFailed,
+    };
+  }
+
+  // Settings that change which combos a seed produces (challenge boards):
+  // the combos to draw from, fingerprinted so two selections can't share a board
+  getSetup() {
+    const notations = this.combos.map(c => c.notation).join(',');
+    return [
+      `${this.combos.length} combos #${hashString(notations).toString(36)}`,
+      ...(this.includeDefense ? ['defense'] : []),
+    ];
+  }
+
   nextCombo() {
     if (!this.isRunning) return;
 
-    // 1. Pick a random combo
-    this.currentCombo = COMBOS[Math.floor(Math.random() * COMBOS.length)];
-    this.stepIndex = 0;
+    // 1. Pick a random combo (a set with only defense combos still plays them)
+    const punchOnly = this.combos.filter(c => !c.sequence.some(isDefenseMove));
+    let pool = this.includeDefense || punchOnly.length === 0 ? this.combos : punchOnly;
+    if (this.curriculum) pool = this.curriculum.filterCombos(pool);
+    this.currentCombo = pool[Math.floor(this.random() * pool.length)];
+    const stance = getStance();
+    this.sequence = this.currentCombo.sequence.map(punch => adaptPunchForStance(punch, stance));
+    this.retries = 0;
     
     // 2. Announce it
     this.updateDisplay(`Combo: ${this.currentCombo.name}`);
     speakCoach(this.currentCombo.name);
 
     // 3. Wait a moment, then show the first target
-    setTimeout(() => {
+    this.beginCombo(1500);
+  }
+
+  // (Re)start the current combo from the first step
+  beginCombo(delay) {
+    this.stepIndex = 0;
+    this.stepTimes = [];
+    clearTimeout(this.stepTimeout); // The last step's miss timer belongs to the old attempt
+    clearTimeout(this.comboTimeout);
+    this.comboTimeout = setTimeout(() => {
       this.showNextTarget();
-    }, 1500);
+    }, delay);
   }
 
   showNextTarget() {
@@ -62,36 +146,53 @@ export class ComboDrill {
 
     this.hideTargets();
 
-    const punchType = this.currentCombo.sequence[this.stepIndex];
+    const stance = getStance();
+    const punchType = this.sequence[this.stepIndex];
+    const numberedAs = adaptPunchForStance(punchType, stance); // back to orthodox naming
     let targetElement;
-    let text;
+
+    // Head movement: centre prompt instead of a mitt
+    if (isDefenseMove(punchType)) {
+      this.defenseTarget.textContent = punchType.toUpperCase();
+      this.defenseTarget.classList.add('visible');
+      this.feedbackElement.textContent = `Move: ${punchType.toUpperCase()}`;
+      this.startStepTimer();
+      return;
+    }
 
     // Map punch type to target (Left hand -> Left Target, Right hand -> Right Target)
-    if (punchType.includes('Jab') || punchType.includes('Left')) {
+    if (getPunchSide(punchType, stance) === 'left') {
       targetElement = this.jabTarget;
     } else {
       targetElement = this.crossTarget;
     }
 
     // Set Text (e.g., "3" for Hook)
-    if (punchType === 'Jab') text = '1';
-    else if (punchType === 'Cross') text = '2';
-    else if (punchType === 'Left Hook') text = '3';
-    else if (punchType === 'Right Hook') text = '4';
-    else if (punchType === 'Left Uppercut') text = '5';
-    else if (punchType === 'Right Uppercut') text = '6';
-
-    targetElement.textContent = text;
+    targetElement.textContent = toComboNotation([numberedAs]);
     targetElement.style.display = 'flex'; // Make sure it's visible
     targetElement.classList.add('visible');
     
     this.feedbackElement.textContent = `Throw: ${punchType.toUpperCase()}`;
+    this.startStepTimer();
+  }
+
+  startStepTimer() {
+    clearTimeout(this.stepTimeout);
+    this.stepActive = true;
+    let windowMs = this.stepWindow;
+    if (this.stepIndex === 0) windowMs += FIRST_STEP_BONUS_MS;
+    if (isDefenseMove(this.sequence[this.stepIndex])) windowMs *= DEFENSE_WINDOW_FACTOR;
+
+    this.stepTimeout = setTimeout(() => {
+      this.handleMiss(`Too slow! Expected ${this.sequence[this.stepIndex]}`);
+    }, windowMs);
   }
 
   checkPunch(detectedPunch, punchData) {
-    if (!this.isRunning || !this.currentCombo) return;
+    // Between combos (announcing, retry pause) nothing counts either way
+    if (!this.isRunning || !this.currentCombo || !this.stepActive) return;
 
-    const requiredPunch = this.currentCombo.sequence[this.stepIndex];
+    const requiredPunch = this.sequence[this.stepIndex];
     
     // Normalize strings for comparison (remove spaces, lowercase)
     const d = detectedPunch.toLowerCase().replace(/\s/g, '');
@@ -102,40 +203,143 @@ export class ComboDrill {
     // But strictly speaking, we want them to follow instructions.
     
     if (d === r) {
+      if (this.requireGoodStance && punchData.stance && !punchData.stance.isGood) {
+        showStanceWarning(punchData.stance);
+        return;
+      }
       this.handleHit(punchData);
+      return;
     }
+
+    // WRONG MOVE
+    // Heads move while punching and blocks only answer return fire - neither is "wrong".
+    // A punch that shows up right after a hit is usually the same arm coming back.
+    if (isDefenseMove(detectedPunch) || detectedPunch === BLOCK) return;
+    // Ducking or rolling carries both wrists fast enough to read as a punch: on a
+    // defense step only the movement (or the step timer) decides
+    if (isDefenseMove(requiredPunch)) return;
+    if (this.stepIndex > 0 && performance.now() - this.lastPunchTime < ECHO_GRACE_MS) return;
+
+    this.handleMiss(`You threw a ${detectedPunch}, expected ${requiredPunch}`);
   }
 
   handleHit(punchData) {
+    clearTimeout(this.stepTimeout);
+    this.stepActive = false;
     playSound('hit');
+    this.totalHits++;
+    this.updateSessionStat('session-hits', this.totalHits);
+    this.lastPunchTime = performance.now();
+    this.stepTimes.push(this.lastPunchTime);
     this.stepIndex++;
 
     // VISUAL FEEDBACK
     this.createHitEffect();
 
     // CHECK IF COMBO IS FINISHED
-    if (this.stepIndex >= this.currentCombo.sequence.length) {
+    if (this.stepIndex >= this.sequence.length) {
       // Combo Complete!
       playSound('combo');
-      this.onScore(100 * this.currentCombo.sequence.length); // Big points
-      
-      const praise = ["Beautiful flow!", "Nice rhythm!", "Fast hands!", "That's it!"];
-      const randomPraise = praise[Math.floor(Math.random() * praise.length)];
-      this.feedbackElement.textContent = `✅ ${randomPraise}`;
+      this.combosCompleted++;
+      this.comboCount++;
+      const rhythm = this.gradeRhythm();
+
+      // Flow decides the payout: 0.5x for a stop-start combo, up to 1.5x on tempo
+      this.onScore(Math.round(100 * this.sequence.length * (0.5 + rhythm.flowScore / 100)));
+      this.announceRhythm(rhythm);
+      this.recordProgress(isCleanCompletion({ completed: true, retries: this.retries, flowScore: rhythm.flowScore }));
       
       // Short delay before next combo
-      setTimeout(() => this.nextCombo(), 1000);
+      this.comboTimeout = setTimeout(() => this.nextCombo(), 1000);
       
     } else {
       // Combo continues... show next target immediately
-      // Check rhythm (optional: bonus points for speed)
       this.showNextTarget();
     }
   }
 
+  // Timed out or wrong move: the combo fails - retry it, or move on after MAX_RETRIES
+  handleMiss(reason) {
+    clearTimeout(this.stepTimeout);
+    this.stepActive = false;
+    this.hideTargets();
+    this.totalMisses++;
+    this.combosFailed++;
+    this.comboCount = 0;
+    this.updateSessionStat('session-misses', this.totalMisses);
+
+    playSound('miss');
+    this.feedbackElement.textContent = `❌ ${reason}`;
+
+    if (this.retries < MAX_RETRIES) {
+      this.retries++;
+      this.updateDisplay(`Again: ${this.currentCombo.name}`);
+      speakCoach(`${reason}. Again!`);
+      this.beginCombo(2000);
+    } else {
+      speakCoach(`${reason}. Let's try another.`);
+      this.recordProgress(false);
+      clearTimeout(this.comboTimeout);
+      this.comboTimeout = setTimeout(() => this.nextCombo(), 2000);
+    }
+  }
+
+  recordProgress(clean) {
+    if (!this.curriculum || !this.curriculum.record(this.currentCombo, clean)) return;
+
+    const { level, name } = this.curriculum.getStatus();
+    playSound('levelup');
+    speakCoach(`Level ${level} unlocked! ${name}.`);
+    this.updateDisplay(`🔓 Level ${level}: ${name}`);
+  }
+
+  // Same sidebar counters FocusMittDrill writes to
+  updateSessionStat(id, value) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = value;
+  }
+
+  gradeRhythm() {
+    // Call steps by their number (orthodox naming) or the move name for defense
+    const labels = this.currentCombo.sequence.map(move => (
+      isDefenseMove(move) ? move.toLowerCase() : toComboNotation([move])
+    ));
+    const rhythm = calculateRhythmScore(this.stepTimes, labels, {
+      targetInterval: this.targetInterval,
+      isDefense: (i) => isDefenseMove(this.sequence[i]),
+    });
+
+    this.rhythmHistory.push({ combo: this.currentCombo.id, ...rhythm });
+    return rhythm;
+  }
+
+  announceRhythm({ flowScore, duration, stalls }) {
+    const seconds = (duration / 1000).toFixed(1);
+    let message;
+    let spoken;
+
+    if (stalls.length > 0) {
+      // Call out the worst gap
+      const worst = stalls.reduce((a, b) => (b.interval > a.interval ? b : a));
+      message = `⏱️ Slow between ${worst.from} and ${worst.to}`;
+      spoken = `Slow between ${worst.from} and ${worst.to}. Keep it flowing.`;
+    } else if (flowScore >= 85) {
+      const praise = ["Beautiful flow!", "Nice rhythm!", "Fast hands!", "That's it!"];
+      message = `✅ ${praise[Math.floor(Math.random() * praise.length)]}`;
+      spoken = message.slice(2);
+    } else {
+      message = '✅ Good - now sharper!';
+      spoken = "Good. Now let them flow.";
+    }
+
+    this.feedbackElement.textContent = `${message} · Flow ${flowScore}% · ${seconds}s`;
+    speakCoach(spoken);
+  }
+
   hideTargets() {
     this.jabTarget.classList.remove('visible');
     this.crossTarget.classList.remove('visible');
+    if (this.defenseTarget) this.defenseTarget.classList.remove('visible');
     // We don't set display:none here because we want the fade out animation
   }
 
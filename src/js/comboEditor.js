@@ -0,0 +1,165 @@
+// src/js/comboEditor.js - Sidebar combo builder: author, save, group and share combos
+import { parseComboNotation, DIFFICULTIES } from '/src/js/comboLibrary.js';
+import { downloadAsJSON, escapeHTML } from '/src/js/utils.js';
+
+export class ComboEditor {
+  /**
+   * @param {ComboLibrary} library
+   * @param {Function} onChange - Called after the library changes (refresh drill pickers)
+   */
+  constructor(library, onChange = null) {
+    this.library = library;
+    this.onChange = onChange;
+
+    this.panel = document.getElementById('combo-builder');
+    this.nameInput = document.getElementById('combo-name');
+    this.notationInput = document.getElementById('combo-notation');
+    this.difficultySelect = document.getElementById('combo-difficulty');
+    this.preview = document.getElementById('combo-preview');
+    this.listElement = document.getElementById('combo-list');
+    this.setSelect = document.getElementById('combo-set');
+    this.importInput = document.getElementById('combo-import-file');
+
+    this.bindEvents();
+    this.render();
+  }
+
+  bindEvents() {
+    this.notationInput.addEventListener('input', () => this.updatePreview());
+    document.getElementById('combo-save').addEventListener('click', () => this.save());
+    document.getElementById('combo-save-playlist').addEventListener('click', () => this.savePlaylist());
+    document.getElementById('combo-export').addEventListener('click', () => this.exportPack());
+    document.getElementById('combo-import').addEventListener('click', () => this.importInput.click());
+    this.importInput.addEventListener('change', (e) => this.importPack(e.target.files[0]));
+
+    // Delete buttons are re-rendered, so listen on the list
+    this.listElement.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-delete]');
+      if (button && confirm('Delete this combo?')) {
+        this.library.remove(button.dataset.delete);
+        this.changed();
+      }
+    });
+    this.setSelect.addEventListener('change', () => {
+      const playlist = this.setSelect.value.startsWith('playlist:');
+      document.getElementById('combo-delete-playlist').classList.toggle('hidden', !playlist);
+    });
+    document.getElementById('combo-delete-playlist').addEventListener('click', () => {
+      const id = this.setSelect.value.replace('playlist:', '');
+      if (confirm('Delete this playlist? (The combos stay)')) {
+        this.library.removePlaylist(id);
+        this.setSelect.value = 'all';
+        this.changed();
+      }
+    });
+  }
+
+  toggle() {
+    this.panel.classList.toggle('hidden');
+    return !this.panel.classList.contains('hidden');
+  }
+
+  // Combos for the drill picker's current selection
+  getSelectedCombos() {
+    return this.library.getSelection(this.setSelect.value);
+  }
+
+  updatePreview() {
+    const text = this.notationInput.value;
+    if (!text.trim()) {
+      this.preview.textContent = '1 Jab, 2 Cross, 3-6 Hooks/Uppers, 7-8 Body, SL SR D R';
+      this.preview.className = 'text-xs text-gray-500';
+      return;
+    }
+    const { valid, sequence, errors } = parseComboNotation(text);
+    this.preview.textContent = valid ? sequence.join(' → ') : errors[0];
+    this.preview.className = valid ? 'text-xs text-green-400' : 'text-xs text-red-400';
+  }
+
+  save() {
+    const { combo, errors } = this.library.add({
+      name: this.nameInput.value,
+      notation: this.notationInput.value,
+      difficulty: this.difficultySelect.value,
+    });
+    if (!combo) {
+      this.preview.textContent = errors[0];
+      this.preview.className = 'text-xs text-red-400';
+      return;
+    }
+    this.nameInput.value = '';
+    this.notationInput.value = '';
+    this.changed();
+  }
+
+  savePlaylist() {
+    const ids = [...this.listElement.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.value);
+    if (ids.length === 0) {
+      alert('Tick the combos to put in the playlist first');
+      return;
+    }
+    const name = prompt('Playlist name?');
+    if (!name) return;
+
+    const playlist = this.library.addPlaylist(name, ids);
+    if (playlist) {
+      this.changed();
+      this.setSelect.value = `playlist:${playlist.id}`;
+      this.setSelect.dispatchEvent(new Event('change'));
+    }
+  }
+
+  exportPack() {
+    const pack = this.library.exportPack();
+    if (pack.combos.length === 0) {
+      alert('No custom combos to export yet');
+      return;
+    }
+    downloadAsJSON(pack, `combo-pack-${new Date().toISOString().slice(0, 10)}.json`);
+  }
+
+  async importPack(file) {
+    if (!file) return;
+    const { added, skipped, errors } = this.library.importPack(await file.text());
+    this.importInput.value = ''; // Same file can be picked again
+
+    const lines = [`Imported ${added} combo${added === 1 ? '' : 's'}` + (skipped ? `, skipped ${skipped}` : '')];
+    if (errors.length > 0) lines.push('', ...errors.slice(0, 5));
+    alert(lines.join('\n'));
+    if (added > 0) this.changed();
+  }
+
+  changed() {
+    this.render();
+    if (this.onChange) this.onChange();
+  }
+
+  render() {
+    this.difficultySelect.innerHTML = DIFFICULTIES
+      .map(d => `<option value="${d}">${d[0].toUpperCase()}${d.slice(1)}</option>`).join('');
+
+    this.listElement.innerHTML = this.library.getAll().map(combo => `
+      <label class="flex items-center gap-2 text-xs py-1 border-b border-gray-800">
+        <input type="checkbox" value="${escapeHTML(combo.id)}" class="accent-yellow-500">
+        <span class="font-mono text-yellow-400 w-20 shrink-0">${escapeHTML(combo.notation)}</span>
+        <span class="flex-1 truncate text-gray-300">${escapeHTML(combo.name)}</span>
+        <span class="text-gray-500">${combo.difficulty[0].toUpperCase()}</span>
+        ${combo.builtIn ? '<span class="w-4"></span>' : `<button data-delete="${escapeHTML(combo.id)}" class="w-4 text-red-400 hover:text-red-300">✕</button>`}
+      </label>`).join('');
+
+    // Drill picker: keep the current choice if it still exists
+    const current = this.setSelect.value || 'all';
+    const options = [
+      ['all', 'All combos'],
+      ...DIFFICULTIES.map(d => [d, `${d[0].toUpperCase()}${d.slice(1)} only`]),
+      ['custom', 'My combos'],
+      ...this.library.playlists.map(p => [`playlist:${p.id}`, `▶ ${p.name}`]),
+    ];
+    this.setSelect.innerHTML = options
+      .map(([value, label]) => `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`).join('');
+    this.setSelect.value = options.some(([value]) => value === current) ? current : 'all';
+    this.setSelect.dispatchEvent(new Event('change'));
+
+    this.updatePreview();
+  }
+}
@@ -0,0 +1,261 @@
+// src/js/comboLibrary.js - Combo notation, built-in combos and the user's saved library
+import { loadJSON, saveJSON } from '/src/js/storage.js';
+
+// Standard Boxing Number System (written orthodox - southpaws get it mirrored,
+// so odd numbers are always the lead hand)
+// 1 = Jab, 2 = Cross, 3 = Left Hook, 4 = Right Hook, 5 = Left Upper, 6 = Right Upper,
+// 7 = Left Body, 8 = Right Body
+// Defense: SL = Slip Left, SR = Slip Right, D = Duck, R = Roll
+export const NOTATION = {
+  '1': 'Jab',
+  '2': 'Cross',
+  '3': 'Left Hook',
+  '4': 'Right Hook',
+  '5': 'Left Uppercut',
+  '6': 'Right Uppercut',
+  '7': 'Left Body',
+  '8': 'Right Body',
+  'SL': 'Slip Left',
+  'SR': 'Slip Right',
+  'D': 'Duck',
+  'R': 'Roll',
+};
+
+const DEFENSE_TOKENS = ['SL', 'SR', 'D', 'R'];
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const MAX_COMBO_LENGTH = 10;
+const MAX_NAME_LENGTH = 40;
+
+const PACK_FORMAT = 'train-like-aj/combo-pack';
+const PACK_VERSION = 1;
+const STORAGE_KEY = 'combos';
+
+/**
+ * Parse boxing number notation ("1-1-2-3-2", "1 2 SL 2", "1,2,R,3")
+ * @returns {Object} { valid, sequence, errors }
+ */
+export function parseComboNotation(text) {
+  const errors = [];
+  const tokens = String(text || '').trim().toUpperCase().split(/[\s,\-]+/).filter(Boolean);
+
+  if (tokens.length === 0) errors.push('Enter at least one punch, e.g. 1-2-3');
+  if (tokens.length > MAX_COMBO_LENGTH) errors.push(`Keep it to ${MAX_COMBO_LENGTH} moves or fewer`);
+
+  const sequence = [];
+  tokens.forEach((token, i) => {
+    if (NOTATION[token]) {
+      sequence.push(NOTATION[token]);
+    } else {
+      errors.push(`Unknown move "${token}" at position ${i + 1} (use 1-8, SL, SR, D, R)`);
+    }
+  });
+
+  if (tokens.length > 0 && tokens.every(token => DEFENSE_TOKENS.includes(token))) {
+    errors.push('A combo needs at least one punch');
+  }
+
+  return { valid: errors.length === 0, sequence, errors };
+}
+
+// ['Jab', 'Cross', 'Left Hook'] -> "1-2-3"
+export function toComboNotation(sequence) {
+  const byMove = Object.fromEntries(Object.entries(NOTATION).map(([token, move]) => [move, token]));
+  return sequence.map(move => byMove[move] || '?').join('-');
+}
+
+function makeCombo(id, name, notation, difficulty, builtIn = false) {
+  return { id, name, notation, difficulty, builtIn, sequence: parseComboNotation(notation).sequence };
+}
+
+export const BUILT_IN_COMBOS = [
+  makeCombo('1-2', "One Two", '1-2', 'beginner', true),
+  makeCombo('1-1', "Double Jab", '1-1', 'beginner', true),
+  makeCombo('1-1-2', "Double Jab Cross", '1-1-2', 'beginner', true),
+  makeCombo('1-2-3', "One Two Hook", '1-2-3', 'intermediate', true),
+  makeCombo('2-3-2', "Cross Hook Cross", '2-3-2', 'intermediate', true),
+  makeCombo('1-2-5', "One Two Uppercut", '1-2-5', 'intermediate', true),
+  makeCombo('1-6-3', "Jab Upper Hook", '1-6-3', 'advanced', true),
+  // Four punches (the curriculum's last level works without defense too)
+  makeCombo('1-1-2-3', "Double Jab, Cross, Hook", '1-1-2-3', 'intermediate', true),
+  makeCombo('1-2-3-2', "One Two Hook Cross", '1-2-3-2', 'intermediate', true),
+  makeCombo('1-2-5-2', "One Two Upper Cross", '1-2-5-2', 'advanced', true),
+  // Defense mixed in (only with includeDefense)
+  makeCombo('1-2-SR-2', "One Two, Slip, Cross", '1-2-SR-2', 'intermediate', true),
+  makeCombo('1-D-2', "Jab, Duck, Cross", '1-D-2', 'intermediate', true),
+  makeCombo('1-2-R-3', "One Two, Roll, Hook", '1-2-R-3', 'advanced', true),
+];
+
+/**
+ * Problems with a saved / imported combo's fields
+ * @returns {Array} Error messages (empty = valid)
+ */
+export function validateComboFields(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || typeof entry.notation !== 'string') {
+    return ['Needs a name and a notation'];
+  }
+  const { name, notation, difficulty } = entry;
+  const errors = [];
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) errors.push('Give the combo a name');
+  if (trimmedName.length > MAX_NAME_LENGTH) errors.push(`Name is too long (max ${MAX_NAME_LENGTH})`);
+  if (!DIFFICULTIES.includes(difficulty)) errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  errors.push(...parseComboNotation(notation).errors);
+  return errors;
+}
+
+// Problems with a saved playlist ({ id, name, comboIds })
+export function validatePlaylist(playlist) {
+  if (!playlist || typeof playlist !== 'object') return ['Not a playlist'];
+  const errors = [];
+  if (typeof playlist.id !== 'string' || !playlist.id) errors.push('Needs an id');
+  if (typeof playlist.name !== 'string' || !playlist.name.trim()) errors.push('Needs a name');
+  if (!Array.isArray(playlist.comboIds) || !playlist.comboIds.every(id => typeof id === 'string')) {
+    errors.push('Needs a list of combo ids');
+  }
+  return errors;
+}
+
+export class ComboLibrary {
+  constructor() {
+    this.customCombos = [];
+    this.playlists = [];
+    this.load();
+  }
+
+  load() {
+    const saved = loadJSON(STORAGE_KEY, null);
+    const data = saved && typeof saved === 'object' ? saved : {};
+    // Re-parse on load so a bad entry can't break the drill
+    this.customCombos = (Array.isArray(data.combos) ? data.combos : [])
+      .filter(c => validateComboFields(c).length === 0 && typeof c.id === 'string')
+      .map(c => makeCombo(c.id, c.name.trim(), c.notation, c.difficulty));
+    this.playlists = (Array.isArray(data.playlists) ? data.playlists : [])
+      .filter(p => validatePlaylist(p).length === 0);
+  }
+
+  save() {
+    saveJSON(STORAGE_KEY, {
+      combos: this.customCombos.map(({ id, name, notation, difficulty }) => ({ id, name, notation, difficulty })),
+      playlists: this.playlists,
+    });
+  }
+
+  getAll() {
+    return [...BUILT_IN_COMBOS, ...this.customCombos];
+  }
+
+  get(id) {
+    return this.getAll().find(c => c.id === id) || null;
+  }
+
+  /**
+   * Combos for a drill selection:
+   * 'all' | 'custom' | a difficulty | 'playlist:<id>'
+   */
+  getSelection(selection = 'all') {
+    if (selection === 'custom') return this.customCombos;
+    if (DIFFICULTIES.includes(selection)) return this.getAll().filter(c => c.difficulty === selection);
+    if (selection.startsWith('playlist:')) {
+      const playlist = this.playlists.find(p => `playlist:${p.id}` === selection);
+      return playlist ? playlist.comboIds.map(id => this.get(id)).filter(Boolean) : [];
+    }
+    return this.getAll();
+  }
+
+  /**
+   * @returns {Object} { combo, errors } - combo is null when invalid
+   */
+  add({ name, notation, difficulty = 'beginner' }) {
+    const errors = validateComboFields({ name, notation, difficulty });
+    if (errors.length > 0) return { combo: null, errors };
+
+    // Store the canonical form ("1 2 sl" -> "1-2-SL")
+    const { sequence } = parseComboNotation(notation);
+    const id = `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const combo = makeCombo(id, name.trim(), toComboNotation(sequence), difficulty);
+    this.customCombos.push(combo);
+    this.save();
+    return { combo, errors: [] };
+  }
+
+  remove(id) {
+    this.customCombos = this.customCombos.filter(c => c.id !== id);
+    this.playlists.forEach(p => { p.comboIds = p.comboIds.filter(comboId => comboId !== id); });
+    this.save();
+  }
+
+  addPlaylist(name, comboIds) {
+    const trimmed = String(name || '').trim();
+    const ids = comboIds.filter(id => this.get(id));
+    if (!trimmed || ids.length === 0) return null;
+
+    const playlist = { id: Date.now().toString(36), name: trimmed.slice(0, MAX_NAME_LENGTH), comboIds: ids };
+    this.playlists.push(playlist);
+    this.save();
+    return playlist;
+  }
+
+  removePlaylist(id) {
+    this.playlists = this.playlists.filter(p => p.id !== id);
+    this.save();
+  }
+
+  // Shareable JSON pack of custom combos (all of them, or just the given ids)
+  exportPack(ids = null) {
+    const combos = this.customCombos.filter(c => !ids || ids.includes(c.id));
+    return {
+      format: PACK_FORMAT,
+      version: PACK_VERSION,
+      exportedAt: new Date().toISOString(),
+      combos: combos.map(({ name, notation, difficulty }) => ({ name, notation, difficulty })),
+    };
+  }
+
+  /**
+   * Import a pack from exportPack(). Invalid and duplicate combos are skipped.
+   * @returns {Object} { added, skipped, errors }
+   */
+  importPack(jsonString) {
+    let pack;
+    try {
+      pack = JSON.parse(jsonString);
+    } catch (e) {
+      return { added: 0, skipped: 0, errors: ['File is not valid JSON'] };
+    }
+    if (!pack || pack.format !== PACK_FORMAT || !Array.isArray(pack.combos)) {
+      return { added: 0, skipped: 0, errors: ['Not a Train Like AJ combo pack'] };
+    }
+    if (pack.version > PACK_VERSION) {
+      return { added: 0, skipped: 0, errors: [`Pack version ${pack.version} is newer than supported`] };
+    }
+
+    let added = 0;
+    let skipped = 0;
+    const errors = [];
+
+    pack.combos.forEach((entry, i) => {
+      if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || typeof entry.notation !== 'string') {
+        skipped++;
+        errors.push(`Combo ${i + 1}: needs a name and a notation`);
+        return;
+      }
+      const notation = toComboNotation(parseComboNotation(entry.notation).sequence);
+      const duplicate = this.getAll().some(c => c.name === String(entry.name).trim() && c.notation === notation);
+      if (duplicate) {
+        skipped++;
+        return;
+      }
+      const { errors: comboErrors } = this.add(entry);
+      if (comboErrors.length > 0) {
+        skipped++;
+        errors.push(`Combo ${i + 1} (${entry.name || 'unnamed'}): ${comboErrors[0]}`);
+      } else {
+        added++;
+      }
+    });
+
+    return { added, skipped, errors };
+  }
+}
@@ -0,0 +1,124 @@
+// src/js/curriculum.js - Progressive combo curriculum
+//
+// Combos are graded into levels by length and which power punches they mix.
+// The next level unlocks once enough recent combos at (or above) the current
+// level were landed clean. Progress is saved so the curriculum carries over between sessions.
+import { loadJSON, saveJSON, removeJSON } from '/src/js/storage.js';
+import { isDefenseMove } from '/src/js/defense.js';
+
+export const CURRICULUM_LEVELS = [
+  { level: 1, name: 'Two-Punch Basics', description: 'Straight punches, two at a time' },
+  { level: 2, name: 'Three-Punch Flow', description: 'Three-punch combos with one power punch type' },
+  { level: 3, name: 'Mixing Power', description: 'Hooks and uppercuts in the same combo' },
+  { level: 4, name: 'Long Combos', description: 'Four moves and up' },
+];
+
+const STORAGE_KEY = 'curriculum';
+const CLEAN_FLOW = 70;          // Flow score a combo needs (on the first try) to count as clean
+const UNLOCK_ATTEMPTS = 8;      // Combos at a level before it can be passed
+const UNLOCK_WINDOW = 10;       // Clean rate is measured over the most recent combos
+const UNLOCK_CLEAN_RATE = 0.75;
+
+// Power punch families a combo uses ('hook', 'uppercut', 'body')
+function powerKinds(sequence) {
+  const kinds = new Set();
+  sequence.forEach(move => {
+    if (move.includes('Hook')) kinds.add('hook');
+    else if (move.includes('Uppercut')) kinds.add('uppercut');
+    else if (move.includes('Body')) kinds.add('body');
+  });
+  return kinds;
+}
+
+/**
+ * Which curriculum level a combo belongs to
+ * @param {Object} combo - { sequence }
+ * @returns {number} 1-4
+ */
+export function getComboLevel(combo) {
+  const { sequence } = combo;
+  const kinds = powerKinds(sequence.filter(move => !isDefenseMove(move)));
+
+  if (sequence.length >= 4) return 4;
+  if (kinds.size >= 2) return 3;
+  if (sequence.length === 3 || kinds.size === 1) return 2;
+  return 1;
+}
+
+export function isCleanCompletion({ completed, retries, flowScore }) {
+  return completed && retries === 0 && flowScore >= CLEAN_FLOW;
+}
+
+export class CurriculumProgress {
+  constructor({ onChange = null } = {}) {
+    this.onChange = onChange;
+    this.load();
+  }
+
+  load() {
+    const saved = loadJSON(STORAGE_KEY, null);
+    const maxLevel = CURRICULUM_LEVELS.length;
+    this.level = saved && saved.level >= 1 && saved.level <= maxLevel ? saved.level : 1;
+    this.history = (saved && Array.isArray(saved.history)) ? saved.history.slice(-UNLOCK_WINDOW) : [];
+  }
+
+  save() {
+    saveJSON(STORAGE_KEY, { level: this.level, history: this.history });
+  }
+
+  reset() {
+    removeJSON(STORAGE_KEY);
+    this.load();
+    if (this.onChange) this.onChange(this.getStatus());
+  }
+
+  /**
+   * Combos from the pool that are unlocked. Falls back to the easiest
+   * combos in the pool so a hand-picked playlist never comes up empty.
+   */
+  filterCombos(combos) {
+    const unlocked = combos.filter(combo => getComboLevel(combo) <= this.level);
+    if (unlocked.length > 0 || combos.length === 0) return unlocked;
+
+    const easiest = Math.min(...combos.map(getComboLevel));
+    return combos.filter(combo => getComboLevel(combo) === easiest);
+  }
+
+  /**
+   * Record how a combo went. Only combos at the current level or harder count
+   * towards unlocking (a level-1 warm-up proves nothing at level 3).
+   * @param {Object} combo - { sequence }
+   * @param {boolean} clean - See isCleanCompletion()
+   * @returns {boolean} true when this unlocked the next level
+   */
+  record(combo, clean) {
+    if (getComboLevel(combo) < this.level) return false;
+
+    this.history.push(clean);
+    if (this.history.length > UNLOCK_WINDOW) this.history.shift();
+
+    let leveledUp = false;
+    const { cleanRate } = this.getStatus();
+    if (this.level < CURRICULUM_LEVELS.length && this.history.length >= UNLOCK_ATTEMPTS && cleanRate >= UNLOCK_CLEAN_RATE) {
+      this.level++;
+      this.history = [];
+      leveledUp = true;
+    }
+
+    this.save();
+    if (this.onChange) this.onChange(this.getStatus());
+    return leveledUp;
+  }
+
+  getStatus() {
+    const clean = this.history.filter(Boolean).length;
+    return {
+      ...CURRICULUM_LEVELS[this.level - 1],
+      isMaxLevel: this.level === CURRICULUM_LEVELS.length,
+      attempts: this.history.length,
+      attemptsNeeded: UNLOCK_ATTEMPTS,
+      cleanRate: this.history.length > 0 ? clean / this.history.length : 0,
+      cleanRateNeeded: UNLOCK_CLEAN_RATE,
+    };
+  }
+}
@@ -0,0 +1,267 @@
+// src/js/dashboard.js - Progress dashboard: training history charted by day or week
+//
+// Sessions from the history store are grouped into periods; each period gets
+// speed/form averages (overall or for one punch type), accuracy, max combo,
+// highest level reached and its analyzeSessionPerformance() tier.
+import { analyzeSessionPerformance } from '/src/js/scoring.js';
+import { getPerformanceStats } from '/src/js/report.js';
+import { gameState } from '/src/js/utils.js';
+
+// Lowest to highest, as analyzeSessionPerformance() names them
+export const PERFORMANCE_TIERS = ['Beginner', 'Developing', 'Intermediate', 'Advanced', 'Elite'];
+
+const ALL_PUNCHES = 'all';
+const MAX_PERIODS = 12; // Older periods scroll off the charts
+
+const COLORS = {
+  speed: '#facc15',
+  form: '#4ade80',
+  accuracy: '#60a5fa',
+  combo: '#f97316',
+  level: '#c084fc',
+  tier: '#f87171',
+  grid: '#374151',
+  text: '#9ca3af',
+};
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Local-time bucket for a session start
+ * @param {string} iso - Session startedAt
+ * @param {string} period - 'day' | 'week' (weeks start on Monday)
+ * @returns {{ key: string, label: string }}
+ */
+export function getPeriodKey(iso, period) {
+  const date = new Date(iso);
+  if (period === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  const key = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const label = `${period === 'week' ? 'Wk ' : ''}${date.getMonth() + 1}/${date.getDate()}`;
+  return { key, label };
+}
+
+// Speed/form for one punch type, or every scored punch
+function scoreTotalsFor(session, punchType) {
+  const stats = session.punchStats || {};
+  const entries = punchType === ALL_PUNCHES ? Object.values(stats) : [stats[punchType]].filter(Boolean);
+  return entries.reduce((totals, { count, avgSpeed, avgForm }) => ({
+    count: totals.count + count,
+    speed: totals.speed + avgSpeed * count,
+    form: totals.form + avgForm * count,
+  }), { count: 0, speed: 0, form: 0 });
+}
+
+/**
+ * Group sessions into chartable periods, oldest first
+ * @param {Array} sessions - Session records (see session.js)
+ * @param {Object} options - { period: 'day' | 'week', punchType: 'all' | 'Jab' | ... }
+ * @returns {Array} [{ key, label, sessions, avgSpeed, avgForm, accuracy, maxCombo, level, tier }]
+ */
+export function buildProgressSeries(sessions, { period = 'day', punchType = ALL_PUNCHES } = {}) {
+  const buckets = new Map();
+
+  sessions.forEach(session => {
+    const { key, label } = getPeriodKey(session.startedAt, period);
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        key, label, sessions: 0,
+        totalPunches: 0, hits: 0, misses: 0, perfectPunches: 0, score: 0,
+        scored: { count: 0, speed: 0, form: 0 },
+        maxCombo: 0, level: null,
+      });
+    }
+    const bucket = buckets.get(key);
+    bucket.sessions++;
+    bucket.totalPunches += session.totalPunches || 0;
+    bucket.hits += session.hits || 0;
+    bucket.misses += session.misses || 0;
+    bucket.perfectPunches += session.perfectPunches || 0;
+    bucket.score += session.score || 0;
+    bucket.maxCombo = Math.max(bucket.maxCombo, session.maxCombo || 0);
+    if (typeof session.level === 'number') bucket.level = Math.max(bucket.level || 0, session.level);
+
+    const scored = scoreTotalsFor(session, punchType);
+    bucket.scored.count += scored.count;
+    bucket.scored.speed += scored.speed;
+    bucket.scored.form += scored.form;
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .slice(-MAX_PERIODS)
+    .map(bucket => {
+      const { count, speed, form } = bucket.scored;
+      const avgSpeed = count > 0 ? Math.round(speed / count) : null;
+      const avgForm = count > 0 ? Math.round(form / count) : null;
+      const attempts = bucket.hits + bucket.misses;
+      const analysis = analyzeSessionPerformance(getPerformanceStats({ ...bucket, averageSpeed: avgSpeed, averageForm: avgForm }));
+
+      return {
+        key: bucket.key,
+        label: bucket.label,
+        sessions: bucket.sessions,
+        avgSpeed,
+        avgForm,
+        accuracy: attempts > 0 ? Math.round((bucket.hits / attempts) * 100) : null,
+        maxCombo: bucket.maxCombo,
+        level: bucket.level,
+        tier: bucket.totalPunches > 0 ? analysis.performance : null,
+      };
+    });
+}
+
+/**
+ * Minimal line chart. Null values leave a gap.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} labels - X axis labels
+ * @param {Array} series - [{ values, color }]
+ * @param {Object} options - { min, max, formatY }
+ */
+export function drawLineChart(canvas, labels, series, { min = 0, max = null, formatY = String } = {}) {
+  const ctx = canvas.getContext('2d');
+  const scale = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const values = series.flatMap(s => s.values).filter(v => v !== null);
+  const top = max ?? Math.max(min + 1, ...values);
+  const left = 34;
+  const bottom = height - 18;
+  const plotWidth = width - left - 8;
+  const plotHeight = bottom - 8;
+  const x = (i) => left + (labels.length > 1 ? (i / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (v) => bottom - ((v - min) / (top - min)) * plotHeight;
+
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = COLORS.text;
+  ctx.strokeStyle = COLORS.grid;
+  ctx.lineWidth = 1;
+  [min, (min + top) / 2, top].forEach(v => {
+    ctx.beginPath();
+    ctx.moveTo(left, y(v));
+    ctx.lineTo(width - 8, y(v));
+    ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(formatY(Math.round(v)), left - 4, y(v) + 3);
+  });
+  ctx.textAlign = 'center';
+  const labelStep = Math.ceil(labels.length / 6);
+  labels.forEach((label, i) => {
+    if (i % labelStep === 0) ctx.fillText(label, x(i), height - 4);
+  });
+
+  if (values.length === 0) {
+    ctx.fillText('No data yet', left + plotWidth / 2, bottom - plotHeight / 2);
+    return;
+  }
+
+  series.forEach(({ values: points, color }) => {
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    points.forEach((v, i) => {
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(x(i), y(v));
+      else ctx.moveTo(x(i), y(v));
+      drawing = true;
+    });
+    ctx.stroke();
+    points.forEach((v, i) => {
+      if (v === null) return;
+      ctx.beginPath();
+      ctx.arc(x(i), y(v), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+}
+
+export class ProgressDashboard {
+  constructor() {
+    this.panel = document.getElementById('dashboard');
+    this.punchSelect = document.getElementById('dashboard-punch');
+    this.summary = document.getElementById('dashboard-summary');
+    this.period = 'day';
+    this.sessions = [];
+
+    document.getElementById('dashboard-close').addEventListener('click', () => this.close());
+    this.punchSelect.addEventListener('change', () => this.render());
+    this.panel.querySelectorAll('[data-period]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.period = button.dataset.period;
+        this.render();
+      });
+    });
+  }
+
+  async open() {
+    this.panel.classList.remove('hidden');
+    this.sessions = await gameState.getSessions();
+    this.updatePunchOptions();
+    this.render();
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  updatePunchOptions() {
+    const selected = this.punchSelect.value || ALL_PUNCHES;
+    const types = new Set();
+    this.sessions.forEach(session => Object.keys(session.punchStats || {}).forEach(type => types.add(type)));
+
+    this.punchSelect.innerHTML = '';
+    [ALL_PUNCHES, ...[...types].sort()].forEach(type => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type === ALL_PUNCHES ? 'All punches' : type;
+      this.punchSelect.appendChild(option);
+    });
+    this.punchSelect.value = types.has(selected) ? selected : ALL_PUNCHES;
+  }
+
+  render() {
+    const series = buildProgressSeries(this.sessions, { period: this.period, punchType: this.punchSelect.value });
+    const labels = series.map(p => p.label);
+    const pluck = (field) => series.map(p => p[field]);
+
+    this.panel.querySelectorAll('[data-period]').forEach(button => {
+      button.classList.toggle('bg-yellow-500', button.dataset.period === this.period);
+      button.classList.toggle('text-black', button.dataset.period === this.period);
+    });
+
+    drawLineChart(document.getElementById('chart-speed-form'), labels, [
+      { values: pluck('avgSpeed'), color: COLORS.speed },
+      { values: pluck('avgForm'), color: COLORS.form },
+    ], { max: 100 });
+    drawLineChart(document.getElementById('chart-accuracy'), labels, [
+      { values: pluck('accuracy'), color: COLORS.accuracy },
+    ], { max: 100, formatY: v => `${v}%` });
+    drawLineChart(document.getElementById('chart-combo'), labels, [
+      { values: pluck('maxCombo'), color: COLORS.combo },
+    ]);
+    drawLineChart(document.getElementById('chart-level'), labels, [
+      { values: pluck('level'), color: COLORS.level },
+    ], { min: 1 });
+    drawLineChart(document.getElementById('chart-tier'), labels, [
+      { values: series.map(p => (p.tier ? PERFORMANCE_TIERS.indexOf(p.tier) : null)), color: COLORS.tier },
+    ], { max: PERFORMANCE_TIERS.length - 1, formatY: v => PERFORMANCE_TIERS[v].slice(0, 3) });
+
+    const latest = series[series.length - 1];
+    this.summary.textContent = latest
+      ? `${this.sessions.length} sessions · latest ${this.period}: ${latest.tier || 'no punches'}`
+      : 'No sessions yet - finish a drill to start your history.';
+  }
+}
@@ -0,0 +1,145 @@
+// src/js/db.js - IndexedDB storage for training history
+//
+// Stores:
+//   meta      { key, value }         - lifetime totals (StateManager state) and other singletons
+//   sessions  { id, startedAt, ... } - one record per training session
+//
+// Bump DB_VERSION and add a step to UPGRADES to change the stores; existing
+// data is carried over by the upgrade steps in order. Outside the browser (or
+// when IndexedDB is blocked) everything falls back to memory for the page's life.
+//
+// Each athlete profile gets its own database; the first profile keeps DB_NAME.
+
+const DB_NAME = 'train-like-aj';
+export const DB_VERSION = 1;
+
+// UPGRADES[n] moves the database from version n to n + 1
+const UPGRADES = [
+  // 0 -> 1: initial schema
+  (db) => {
+    db.createObjectStore('meta', { keyPath: 'key' });
+    const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+    sessions.createIndex('startedAt', 'startedAt');
+    sessions.createIndex('mode', 'mode');
+  },
+];
+
+let dbName = DB_NAME;
+let dbPromise = null;
+let memoryStores = null; // Fallback: storeName -> Map
+
+const databaseName = (profileId) => (profileId ? `${DB_NAME}.${profileId}` : DB_NAME);
+
+// Switch to a profile's database (null = first profile)
+export function setDatabaseScope(profileId = null) {
+  const name = databaseName(profileId);
+  if (name === dbName) return;
+  if (dbPromise) dbPromise.then(db => db && db.close());
+  dbName = name;
+  dbPromise = null;
+  memoryStores = null;
+}
+
+// Delete a (non-active) profile's database
+export function deleteDatabaseScope(profileId) {
+  if (typeof indexedDB === 'undefined') return Promise.resolve();
+  return new Promise((resolve) => {
+    const request = indexedDB.deleteDatabase(databaseName(profileId));
+    request.onsuccess = () => resolve();
+    request.onerror = () => {
+      console.warn(`Failed to delete history of profile ${profileId}:`, request.error);
+      resolve();
+    };
+  });
+}
+
+function useMemory(reason) {
+  if (!memoryStores) {
+    console.warn(`IndexedDB unavailable (${reason}) - training history won't survive a reload`);
+    memoryStores = { meta: new Map(), sessions: new Map() };
+  }
+  return null;
+}
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(useMemory('not supported'));
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        console.log(`🗄️ Upgrading training history to v${version + 1}`);
+        UPGRADES[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: let it, we'll use the new one on reload
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => resolve(useMemory(request.error && request.error.message));
+    request.onblocked = () => console.warn('Training history upgrade waiting for other tabs to close');
+  });
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  if (!db) return fn(null, memoryStores[storeName]);
+
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName), null));
+}
+
+let memoryId = 0;
+
+export function dbGet(storeName, key) {
+  return withStore(storeName, 'readonly', (store, memory) => (
+    store ? store.get(key) : memory.get(key)
+  ));
+}
+
+/**
+ * @returns {Promise} The record's key (the new id for auto-increment stores)
+ */
+export function dbPut(storeName, value) {
+  return withStore(storeName, 'readwrite', (store, memory) => {
+    if (store) return store.put(value);
+    const key = value.key ?? value.id ?? ++memoryId;
+    memory.set(key, storeName === 'sessions' ? { ...value, id: key } : value);
+    return key;
+  });
+}
+
+export function dbGetAll(storeName) {
+  return withStore(storeName, 'readonly', (store, memory) => (
+    store ? store.getAll() : [...memory.values()]
+  ));
+}
+
+export function dbDelete(storeName, key) {
+  return withStore(storeName, 'readwrite', (store, memory) => (
+    store ? store.delete(key) : memory.delete(key)
+  ));
+}
+
+export function dbClear(storeName) {
+  return withStore(storeName, 'readwrite', (store, memory) => (
+    store ? store.clear() : memory.clear()
+  ));
+}
@@ -0,0 +1,191 @@
+// src/js/defense.js - Head movement detection: slips, ducks and rolls
+//
+// Head position is measured from the nose against the hip midpoint (hips stay
+// put while the head moves), in shoulder widths. A calm-stance baseline is
+// learned on the fly; a movement is classified once the head comes back.
+
+export const DEFENSE_TYPES = ['Slip Left', 'Slip Right', 'Duck', 'Roll'];
+
+// Not prompted on its own - only an answer to the trainer's return fire
+export const BLOCK = 'Block';
+
+export function isDefenseMove(name) {
+  return DEFENSE_TYPES.includes(name);
+}
+
+const MOVE_START = 0.15;     // Head this far off baseline = a movement has started
+const SLIP_OFFSET = 0.4;     // Lateral (shoulder widths) for a slip
+const DUCK_DROP = 0.2;       // Vertical drop (fraction of nose-to-hip height) for a duck
+const ROLL_SIDE = 0.2;       // A roll passes at least this far on BOTH sides
+const SETTLE_FRAMES = 3;     // Back near baseline this many frames = movement over
+const MAX_MOVE_MS = 1500;    // Longer than this is just shifting around
+const BASELINE_SMOOTHING = 0.05;
+
+const BLOCK_REACH = 0.6;    // Both wrists this close to the nose (shoulder widths) = high guard block
+const BLOCK_HOLD_MS = 250;  // Guard held this long while the attack is coming = blocked
+
+// Tight high guard: both gloves up by the face
+export function isBlocking(landmarks, width, height) {
+  if (!landmarks || landmarks.length < 17) return false;
+
+  const px = (lm) => ({ x: lm.x * width, y: lm.y * height });
+  const nose = px(landmarks[0]);
+  const leftShoulder = px(landmarks[11]);
+  const rightShoulder = px(landmarks[12]);
+  const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y) || 1;
+
+  return [landmarks[15], landmarks[16]].every(lm => {
+    const wrist = px(lm);
+    return Math.hypot(wrist.x - nose.x, wrist.y - nose.y) / shoulderWidth < BLOCK_REACH;
+  });
+}
+
+/**
+ * Turns the per-frame isBlocking() into a block answering a given attack.
+ * The gloves have to come up to the face after the attack is thrown and stay
+ * there for BLOCK_HOLD_MS: a tight block reads like a good stance guard, so
+ * a guard that was already up doesn't count (raise it, or tighten it, to
+ * answer), and neither do gloves passing the face on their way back.
+ */
+export class BlockDetector {
+  constructor({ clock = () => performance.now() } = {}) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  reset() {
+    this.attack = null;      // The attack being timed (drill's activeAttack)
+    this.attackStart = 0;
+    this.blockStart = null;  // When the current guard went up
+    this.answered = false;
+  }
+
+  /**
+   * Feed one frame.
+   * @param {boolean} blocking - isBlocking() for the frame
+   * @param {Object|null} attack - The drill's incoming attack, if any
+   * @returns {boolean} True once per attack, when the block is made
+   */
+  update(blocking, attack) {
+    const now = this.clock();
+    if (attack !== this.attack) {
+      this.attack = attack;
+      this.attackStart = now;
+      this.answered = false;
+    }
+    if (!blocking) {
+      this.blockStart = null;
+      return false;
+    }
+    if (this.blockStart === null) this.blockStart = now;
+    if (!attack || this.answered) return false;
+
+    if (this.blockStart < this.attackStart || now - this.blockStart < BLOCK_HOLD_MS) return false;
+    this.answered = true;
+    return true;
+  }
+}
+
+export class HeadMovementDetector {
+  constructor({ clock = () => performance.now() } = {}) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  reset() {
+    this.baseline = null;   // { x, height }
+    this.movement = null;   // Path of the movement in progress
+    this.settledFrames = 0;
+  }
+
+  /**
+   * Feed one frame of landmarks.
+   * @returns {Object|null} { move, t, lateral, drop } when a movement completes
+   */
+  update(landmarks, width, height) {
+    if (!landmarks || landmarks.length < 25) return null;
+
+    const px = (lm) => ({ x: lm.x * width, y: lm.y * height });
+    const nose = px(landmarks[0]);
+    const leftShoulder = px(landmarks[11]);
+    const rightShoulder = px(landmarks[12]);
+    const leftHip = px(landmarks[23]);
+    const rightHip = px(landmarks[24]);
+
+    const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y) || 1;
+    const hipMid = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+
+    // Positive lateral = towards the user's LEFT shoulder, whichever way the camera flips
+    const leftDirection = Math.sign(leftShoulder.x - rightShoulder.x) || 1;
+    const x = ((nose.x - hipMid.x) / shoulderWidth) * leftDirection;
+    const headHeight = (hipMid.y - nose.y) / shoulderWidth;
+
+    if (!this.baseline) {
+      this.baseline = { x, height: headHeight };
+      return null;
+    }
+
+    const lateral = x - this.baseline.x;
+    const drop = (this.baseline.height - headHeight) / this.baseline.height;
+    const offBaseline = Math.abs(lateral) > MOVE_START || drop > MOVE_START;
+    const now = this.clock();
+
+    if (!this.movement) {
+      if (offBaseline) {
+        this.movement = { startTime: now, path: [] };
+        this.settledFrames = 0;
+      } else {
+        // Calm: let the baseline follow slow drift (stepping, leaning)
+        this.baseline.x += (x - this.baseline.x) * BASELINE_SMOOTHING;
+        this.baseline.height += (headHeight - this.baseline.height) * BASELINE_SMOOTHING;
+        return null;
+      }
+    }
+
+    this.movement.path.push({ t: now, lateral, drop });
+    this.settledFrames = offBaseline ? 0 : this.settledFrames + 1;
+
+    if (now - this.movement.startTime > MAX_MOVE_MS) {
+      // Not a defensive move - re-learn where "neutral" is
+      this.movement = null;
+      this.baseline = { x, height: headHeight };
+      return null;
+    }
+
+    if (this.settledFrames >= SETTLE_FRAMES) {
+      const result = classifyMovement(this.movement.path);
+      this.movement = null;
+      return result ? { ...result, t: now } : null;
+    }
+
+    return null;
+  }
+}
+
+// Path of { lateral, drop } -> move name (or null for noise)
+export function classifyMovement(path) {
+  const maxLeft = Math.max(...path.map(p => p.lateral));
+  const maxRight = -Math.min(...path.map(p => p.lateral));
+  const maxDrop = Math.max(...path.map(p => p.drop));
+
+  const summary = { lateral: Math.max(maxLeft, maxRight), drop: maxDrop };
+
+  // Roll: under the punch - one side, down, out the other side (U-shaped)
+  if (maxDrop > DUCK_DROP && maxLeft > ROLL_SIDE && maxRight > ROLL_SIDE) {
+    const firstSide = path.findIndex(p => Math.abs(p.lateral) > ROLL_SIDE);
+    const lowest = path.findIndex(p => p.drop === maxDrop);
+    const startSign = Math.sign(path[firstSide].lateral);
+    const crossedAfter = path.slice(lowest).some(p => Math.sign(p.lateral) === -startSign && Math.abs(p.lateral) > ROLL_SIDE);
+    if (firstSide <= lowest && crossedAfter) return { move: 'Roll', ...summary };
+  }
+
+  // Duck: straight down
+  if (maxDrop > DUCK_DROP && summary.lateral < SLIP_OFFSET) return { move: 'Duck', ...summary };
+
+  // Slip: off to one side
+  if (summary.lateral > SLIP_OFFSET) {
+    return { move: maxLeft >= maxRight ? 'Slip Left' : 'Slip Right', ...summary };
+  }
+
+  return null;
+}
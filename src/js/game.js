@@ -1,24 +1,12 @@
 // src/js/game.js - V2 Complete with 8 Punch Types & Progressive Unlocking
-import { playSound, stopSound, speakCoach } from '/src/js/utils.js';
+import { playSound, stopSound, speakCoach, createRandom } from '/src/js/utils.js';
+import { getPunchSide } from '/src/js/punch.js';
+import { getStance } from '/src/js/stance.js';
+import { DEFENSE_TYPES, BLOCK, isDefenseMove } from '/src/js/defense.js';
+import { AdaptiveDifficulty, PUNCH_GROUPS } from '/src/js/adaptive.js';
+import { ReactionTimer } from '/src/js/reaction.js';
 
 let timerInterval;
-let timeLeft = 180;
-
-export function startTimedMode(timerElement) {
-  if (timerInterval) clearInterval(timerInterval);
-  timeLeft = 180;
-  timerInterval = setInterval(() => {
-    timeLeft--;
-    const minutes = Math.floor(timeLeft / 60);
-    const seconds = timeLeft % 60;
-    timerElement.textContent = `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
-    if (timeLeft <= 0) {
-      clearInterval(timerInterval);
-      timerElement.textContent = '0:00';
-      showNotification('Time\'s up! Round over!', 'success');
-    }
-  }, 1000);
-}
 
 export function startSurvivalMode(timerElement) {
   let survivalTime = 0;
@@ -34,11 +22,45 @@ export function startSurvivalMode(timerElement) {
   showNotification('Survival Mode: Keep punching!', 'info');
 }
 
+export function stopSurvivalMode() {
+  clearInterval(timerInterval);
+  timerInterval = null;
+}
+
+// Share of targets that are head movement instead of a punch (includeDefense)
+const DEFENSE_CHANCE = 0.2;
+
+// Return fire: the mitt swings back and the user has to defend
+const ATTACK_CHANCE = 0.25;
+const ATTACKS = {
+  hook: { label: 'HOOK!', answers: ['Duck', 'Roll', BLOCK], hint: 'DUCK / ROLL' },
+  straight: { label: 'JAB!', answers: ['Slip Left', 'Slip Right', BLOCK], hint: 'SLIP' },
+};
+const DODGE_POINTS = 75;
+
+// Levels that add hooks, uppercuts and body shots - adaptive mode's punch groups after Jab/Cross
+const GROUP_UNLOCK_LEVELS = [3, 5, 7];
+
+// "Hands back" scoring (see GuardTracker)
+const HANDS_BACK_FAST_MS = 400;
+const HANDS_BACK_SLOW_MS = 800;
+const HANDS_BACK_BONUS = 10;
+const HANDS_BACK_PENALTY = 20;
+
 export class FocusMittDrill {
-  constructor(uiElements, onScore) {
+  constructor(uiElements, onScore, options = {}) {
     this.jabTarget = uiElements.jabTarget;
     this.crossTarget = uiElements.crossTarget;
+    this.defenseTarget = uiElements.defenseTarget;
     this.onScore = onScore;
+    this.onLevelUp = options.onLevelUp || null; // (level) => void, on a level earned in the drill (adaptive: its punch mix)
+    this.requireGoodStance = options.requireGoodStance || false; // Punches from a bad stance don't count
+    this.includeDefense = (options.includeDefense && !!this.defenseTarget) || false; // Mix slips/rolls/ducks in
+    this.attackElement = uiElements.attackElement;
+    this.returnFire = (options.returnFire && !!this.attackElement) || false; // Trainer swings back
+    this.activeAttack = null;
+    this.hitsTaken = 0;
+    this.dodges = 0;
     this.activePunch = null;
     this.activeTarget = null;
     this.drillTimeout = null;
@@ -55,13 +77,29 @@ export class FocusMittDrill {
     this.totalHits = 0;
     this.totalMisses = 0;
     this.perfectHits = 0;
+    this.guardDrops = 0;
+    this.slowReturns = 0;
     this.availablePunchTypes = ['Jab', 'Cross'];
+    this.startLevel = options.startLevel || 1; // Skip ahead (e.g. a program's "Focus Mitts level 3")
+    // true or AdaptiveDifficulty options: pace and punch mix follow accuracy instead of hit count
+    this.adaptiveOptions = options.adaptive ? (options.adaptive === true ? {} : options.adaptive) : null;
+    this.adaptive = null;
+    this.reactions = new ReactionTimer(); // Target shown -> punch landed, per target
+    this.seed = options.seed || null; // Challenge run: every start replays the same targets
+    this.random = Math.random;
   }
 
   start() {
     console.log("🥊 Focus Mitt Drill Started!");
     this.isRunning = true;
     this.resetStats();
+    this.level = this.startLevel;
+    this.random = this.seed ? createRandom(this.seed) : Math.random;
+    if (this.adaptiveOptions) {
+      // Start from the mix the start level would have unlocked
+      const punchGroups = 1 + GROUP_UNLOCK_LEVELS.filter(level => this.level >= level).length;
+      this.adaptive = new AdaptiveDifficulty({ punchGroups, ...this.adaptiveOptions });
+    }
     playSound('start');
     speakCoach("Let's go champ! Focus on the targets.");
     showNotification('Focus Mitt Drill Started!', 'info');
@@ -73,19 +111,57 @@ export class FocusMittDrill {
     this.isRunning = false;
     clearTimeout(this.drillTimeout);
     this.hideAllTargets();
+    this.clearAttack();
     stopSound('background');
-    
-    const accuracy = this.totalHits + this.totalMisses > 0 
-      ? ((this.totalHits / (this.totalHits + this.totalMisses)) * 100).toFixed(1) 
-      : 0;
-    
-    showNotification(
-      `Drill Complete!\nHits: ${this.totalHits} | Misses: ${this.totalMisses}\nAccuracy: ${accuracy}%\nMax Combo: ${this.comboCount}\nLevel Reached: ${this.level}`,
-      'success'
-    );
+    // Results go in the end-of-session report (report.js)
     console.log("Focus Mitt Drill Stopped.");
   }
 
+  // Rest between rounds: targets and timers off, stats kept
+  pause() {
+    this.isRunning = false;
+    clearTimeout(this.drillTimeout);
+    this.hideAllTargets();
+    this.clearAttack();
+    this.reactions.cancel();
+    this.activePunch = null;
+    this.activeTarget = null;
+  }
+
+  resume() {
+    this.isRunning = true;
+    this.nextChallenge();
+  }
+
+  // Follow a RoundEngine: start on the first bell, pause at each round's end, stop at the end
+  bindRounds(rounds) {
+    rounds.on('roundStart', ({ round }) => (round === 1 ? this.start() : this.resume()));
+    rounds.on('roundEnd', () => this.pause());
+    rounds.on('workoutEnd', () => this.stop());
+  }
+
+  // Counters for per-round summaries
+  getStats() {
+    return {
+      hits: this.totalHits,
+      misses: this.totalMisses,
+      perfectHits: this.perfectHits,
+      guardDrops: this.guardDrops,
+      slowReturns: this.slowReturns,
+      dodges: this.dodges,
+      hitsTaken: this.hitsTaken,
+    };
+  }
+
+  // Settings that change which targets a seed produces (challenge boards)
+  getSetup() {
+    return [
+      ...(this.startLevel > 1 ? [`level ${this.startLevel}`] : []),
+      ...(this.includeDefense ? ['defense'] : []),
+      ...(this.returnFire ? ['return fire'] : []),
+    ];
+  }
+
   resetStats() {
     this.comboCount = 0;
     this.comboMultiplier = 1;
@@ -94,15 +170,26 @@ export class FocusMittDrill {
     this.totalHits = 0;
     this.totalMisses = 0;
     this.perfectHits = 0;
+    this.guardDrops = 0;
+    this.slowReturns = 0;
+    this.hitsTaken = 0;
+    this.dodges = 0;
     this.availablePunchTypes = ['Jab', 'Cross'];
+    this.reactions.reset();
+    this.reactions.showLive();
   }
 
   hideAllTargets() {
     this.jabTarget.classList.remove('visible');
     this.crossTarget.classList.remove('visible');
+    if (this.defenseTarget) this.defenseTarget.classList.remove('visible');
   }
 
   updateAvailablePunches() {
+    if (this.adaptive) {
+      this.availablePunchTypes = this.adaptive.getPunchTypes();
+      return;
+    }
     if (this.level >= 3 && !this.availablePunchTypes.includes('Left Hook')) {
       this.availablePunchTypes.push('Left Hook', 'Right Hook');
       showNotification('🎉 Hooks Unlocked!', 'success');
@@ -117,16 +204,21 @@ export class FocusMittDrill {
     }
   }
 
+  // Adaptive mode speeds up / slows down everything by this factor
+  getPace() {
+    return this.adaptive ? this.adaptive.pace : 1;
+  }
+
   getCurrentReactionTime() {
     const reactionTime = Math.max(
       this.baseReactionTime - (this.level - 1) * 150,
       this.minReactionTime
     );
-    return reactionTime;
+    return Math.round(reactionTime / this.getPace());
   }
 
   getDelayBetweenPunches() {
-    return Math.max(800 - (this.level - 1) * 40, 250);
+    return Math.round(Math.max(800 - (this.level - 1) * 40, 250) / this.getPace());
   }
 
   nextChallenge() {
@@ -141,10 +233,15 @@ export class FocusMittDrill {
     
     setTimeout(() => {
       if (!this.isRunning) return;
+
+      if (this.returnFire && this.random() < ATTACK_CHANCE) {
+        this.throwAttack();
+        return;
+      }
       
-      const punchType = this.availablePunchTypes[
-        Math.floor(Math.random() * this.availablePunchTypes.length)
-      ];
+      const punchType = this.includeDefense && this.random() < DEFENSE_CHANCE
+        ? DEFENSE_TYPES[Math.floor(this.random() * DEFENSE_TYPES.length)]
+        : this.availablePunchTypes[Math.floor(this.random() * this.availablePunchTypes.length)];
       
       this.showTarget(punchType);
       playSound('target');
@@ -155,24 +252,96 @@ export class FocusMittDrill {
     }, this.getDelayBetweenPunches());
   }
 
+  // Reaction window to defend: a bit longer than to punch, shrinking with level
+  getAttackWindow() {
+    return Math.round(Math.max(1400 - (this.level - 1) * 60, 700) / this.getPace());
+  }
+
+  throwAttack() {
+    const type = this.random() < 0.5 ? 'hook' : 'straight';
+    const fromSide = this.random() < 0.5 ? 'left' : 'right';
+    const attack = ATTACKS[type];
+    const reactionWindow = this.getAttackWindow();
+
+    this.activeAttack = { type, answers: attack.answers };
+
+    const el = this.attackElement;
+    el.innerHTML = `<span class="attack-glove">🥊</span><span class="attack-label">${attack.label} ${attack.hint}</span>`;
+    el.className = `mitt-attack ${type === 'hook' ? `hook-from-${fromSide}` : 'straight'}`;
+    el.style.animationDuration = `${reactionWindow}ms`;
+
+    speakCoach(type === 'hook' ? 'Hook!' : 'Jab!');
+    this.reactions.mark();
+    this.drillTimeout = setTimeout(() => this.handleHitTaken(), reactionWindow);
+  }
+
+  clearAttack() {
+    this.activeAttack = null;
+    if (this.attackElement) this.attackElement.className = 'mitt-attack';
+  }
+
+  handleDodge(move) {
+    clearTimeout(this.drillTimeout);
+    this.clearAttack();
+    this.dodges++;
+    this.lastHitTime = Date.now(); // Defending keeps the combo alive
+    this.reactions.measure(move);
+
+    this.onScore(Math.floor(DODGE_POINTS * this.comboMultiplier));
+    playSound('combo', { volume: 0.4 });
+
+    const feedbackElement = document.getElementById('feedback');
+    if (feedbackElement) feedbackElement.textContent = `🛡️ Nice ${move.toLowerCase()}!`;
+    this.trackOutcome(true);
+
+    this.nextChallenge();
+  }
+
+  handleHitTaken() {
+    clearTimeout(this.drillTimeout);
+    this.clearAttack();
+    this.hitsTaken++;
+    this.reactions.cancel();
+
+    playSound('hit');
+    document.body.classList.add('player-hit-flash');
+    setTimeout(() => document.body.classList.remove('player-hit-flash'), 400);
+
+    if (this.comboCount > 0) {
+      showNotification(`Caught! Combo Lost (${this.comboCount}x)`, 'error');
+      this.resetCombo();
+    } else {
+      showNotification('Caught! Move your head!', 'error');
+    }
+    speakCoach("Move your head!");
+    this.trackOutcome(false);
+
+    this.nextChallenge();
+  }
+
   showTarget(punchType) {
     this.activePunch = punchType;
+    this.reactions.mark();
     
-    let target;
+    // Head movement gets the centre prompt, not a mitt
+    if (isDefenseMove(punchType)) {
+      this.activeTarget = this.defenseTarget;
+      this.defenseTarget.textContent = punchType.toUpperCase();
+      this.defenseTarget.classList.add('visible');
+      return;
+    }
+
+    // Target on the side of the hand that throws it (southpaws jab on the right)
+    const target = getPunchSide(punchType, getStance()) === 'left' ? this.jabTarget : this.crossTarget;
     if (punchType.includes('Jab')) {
-      target = this.jabTarget;
       target.textContent = 'JAB';
     } else if (punchType.includes('Cross')) {
-      target = this.crossTarget;
       target.textContent = 'CROSS';
     } else if (punchType.includes('Hook')) {
-      target = punchType.includes('Left') ? this.jabTarget : this.crossTarget;
       target.textContent = punchType.includes('Left') ? 'L HOOK' : 'R HOOK';
     } else if (punchType.includes('Uppercut')) {
-      target = punchType.includes('Left') ? this.jabTarget : this.crossTarget;
       target.textContent = punchType.includes('Left') ? 'L UPPER' : 'R UPPER';
     } else if (punchType.includes('Body')) {
-      target = punchType.includes('Left') ? this.jabTarget : this.crossTarget;
       target.textContent = punchType.includes('Left') ? 'L BODY' : 'R BODY';
     }
     
@@ -182,12 +351,24 @@ export class FocusMittDrill {
   }
 
   checkPunch(detectedPunch, punchData = {}) {
-    if (!this.isRunning || !this.activePunch) return;
+    if (!this.isRunning) return;
+
+    // Mitt is swinging back: only a defensive answer counts
+    if (this.activeAttack) {
+      if (this.activeAttack.answers.includes(detectedPunch)) this.handleDodge(detectedPunch);
+      return;
+    }
+
+    if (!this.activePunch) return;
 
     const normalized = this.normalizePunchName(detectedPunch);
     const expected = this.normalizePunchName(this.activePunch);
 
     if (normalized === expected) {
+      if (this.requireGoodStance && punchData.stance && !punchData.stance.isGood) {
+        showStanceWarning(punchData.stance);
+        return;
+      }
       this.handleHit(punchData);
     }
   }
@@ -205,6 +386,7 @@ export class FocusMittDrill {
 
   handleHit(punchData = {}) {
     clearTimeout(this.drillTimeout);
+    this.reactions.measure(this.activePunch);
     
     this.comboCount++;
     this.comboMultiplier = 1 + Math.floor(this.comboCount / 3) * 0.5;
@@ -226,6 +408,12 @@ export class FocusMittDrill {
     if (this.activePunch.includes('Hook')) points += 10;
     if (this.activePunch.includes('Uppercut')) points += 20;
     if (this.activePunch.includes('Body')) points += 15;
+    if (isDefenseMove(this.activePunch)) points += 15;
+
+    // Other hand dropped while punching
+    if (punchData.defenseScore !== null && punchData.defenseScore !== undefined && punchData.defenseScore < 70) {
+      points -= 25;
+    }
     
     points = Math.floor(points * this.comboMultiplier);
     
@@ -240,7 +428,9 @@ export class FocusMittDrill {
     const hitsElement = document.getElementById('session-hits');
     if (hitsElement) hitsElement.textContent = this.totalHits;
     
-    if (this.hitsInLevel >= this.hitsPerLevel) {
+    if (this.adaptive) {
+      this.trackOutcome(true, avgQuality > 90);
+    } else if (this.hitsInLevel >= this.hitsPerLevel) {
       this.levelUp();
     }
     
@@ -249,9 +439,30 @@ export class FocusMittDrill {
     this.nextChallenge();
   }
 
+  // GuardTracker result for a punch thrown during the drill: reward/penalize "hands back"
+  handleGuardReturn(result) {
+    if (!this.isRunning) return;
+
+    if (result.guardDropped) this.guardDrops++;
+
+    const feedbackElement = document.getElementById('feedback');
+    if (!result.returned || result.returnTime > HANDS_BACK_SLOW_MS) {
+      this.slowReturns++;
+      this.onScore(-HANDS_BACK_PENALTY);
+      if (feedbackElement) {
+        feedbackElement.textContent = result.returned
+          ? `🛡️ Hands back faster! (${result.returnTime}ms)`
+          : '🛡️ Bring your hand back to your chin!';
+      }
+    } else if (result.returnTime <= HANDS_BACK_FAST_MS && !result.guardDropped) {
+      this.onScore(HANDS_BACK_BONUS);
+    }
+  }
+
   handleMiss() {
     clearTimeout(this.drillTimeout);
     this.totalMisses++;
+    this.reactions.cancel();
     
     const missesElement = document.getElementById('session-misses');
     if (missesElement) missesElement.textContent = this.totalMisses;
@@ -263,12 +474,31 @@ export class FocusMittDrill {
       speakCoach(encouragements[Math.floor(Math.random() * encouragements.length)]);
       this.resetCombo();
     }
+    this.trackOutcome(false);
     
     this.activePunch = null;
     this.activeTarget = null;
     this.nextChallenge();
   }
 
+  // Adaptive mode: every window of targets retunes the pace and punch mix
+  trackOutcome(hit, perfect = false) {
+    if (!this.adaptive) return;
+    const evaluation = this.adaptive.record({ hit, perfect });
+    if (!evaluation || evaluation.adjustment === 'maintain') return;
+
+    const harder = evaluation.adjustment === 'increase';
+    const newGroup = harder && !this.availablePunchTypes.includes(PUNCH_GROUPS[evaluation.punchGroups - 1][0]);
+    this.updateAvailablePunches();
+    // A new punch group counts as the level that would have unlocked it
+    if (newGroup && this.onLevelUp) this.onLevelUp(GROUP_UNLOCK_LEVELS[evaluation.punchGroups - 2]);
+    speakCoach(harder ? 'Picking up the pace!' : 'Slow it down. Clean shots.');
+    showNotification(
+      `${evaluation.message}\nAccuracy: ${Math.round(evaluation.accuracy)}% | Pace: x${evaluation.pace.toFixed(2)}\nPunches: ${this.availablePunchTypes.length}`,
+      harder ? 'success' : 'warning'
+    );
+  }
+
   resetCombo() {
     this.comboCount = 0;
     this.comboMultiplier = 1;
@@ -292,6 +522,8 @@ export class FocusMittDrill {
     if (levelElement) {
       levelElement.textContent = this.level;
     }
+
+    if (this.onLevelUp) this.onLevelUp(this.level);
   }
 
   createHitEffect(punchType) {
@@ -307,6 +539,7 @@ export class FocusMittDrill {
     if (punchType.includes('Hook')) particleColors = ['#FF6B6B', '#FF8E53'];
     if (punchType.includes('Uppercut')) particleColors = ['#4ECDC4', '#45B7D1'];
     if (punchType.includes('Body')) particleColors = ['#95E1D3', '#38ADA9'];
+    if (isDefenseMove(punchType)) particleColors = ['#B388FF', '#7C4DFF'];
     
     for (let i = 0; i < 10; i++) {
       const particle = document.createElement('div');
@@ -358,7 +591,13 @@ export class FocusMittDrill {
   }
 }
 
-function showNotification(message, type = 'info') {
+// Punch landed, but from a bad stance - tell them why it didn't count
+export function showStanceWarning(stance) {
+  const feedbackElement = document.getElementById('feedback');
+  if (feedbackElement) feedbackElement.textContent = `⚠️ Doesn't count - ${stance.tips[0] || 'fix your stance'}`;
+}
+
+export function showNotification(message, type = 'info') {
   const notification = document.createElement('div');
   notification.className = `notification notification-${type}`;
   notification.textContent = message;
@@ -0,0 +1,102 @@
+// src/js/guard.js - "Hands back" tracking after each punch
+//
+// Detection only sees the punch going out. This follows it home: how long the
+// punching hand takes to get back to the chin, and whether the other hand
+// dropped below the shoulder while it was out.
+
+// All distances in shoulder widths so distance from the camera doesn't matter
+const CHIN_OFFSET = 0.25;      // Chin sits this far below the nose
+const RETURN_RADIUS = 0.6;     // Wrist this close to the chin = back on guard
+const DROP_BELOW_SHOULDER = 0; // Non-punching wrist lower than the shoulder line = dropped
+const MAX_TRACK_MS = 1500;     // Give up: the hand never came back
+
+const WRISTS = { left: 15, right: 16 };
+
+function toPixels(landmark, width, height) {
+  return { x: landmark.x * width, y: landmark.y * height };
+}
+
+function measure(landmarks, width, height) {
+  const nose = toPixels(landmarks[0], width, height);
+  const leftShoulder = toPixels(landmarks[11], width, height);
+  const rightShoulder = toPixels(landmarks[12], width, height);
+  const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y) || 1;
+
+  return {
+    shoulderWidth,
+    chin: { x: nose.x, y: nose.y + shoulderWidth * CHIN_OFFSET },
+    shoulderY: (leftShoulder.y + rightShoulder.y) / 2,
+  };
+}
+
+export class GuardTracker {
+  constructor({ clock = () => performance.now(), onComplete = null } = {}) {
+    this.clock = clock;
+    this.onComplete = onComplete;
+    this.pending = new Map(); // side -> punch being tracked
+  }
+
+  /**
+   * Start following a punch back to the guard.
+   * @returns {Object} What is known right now: { guardDropped }
+   */
+  startPunch(punchType, side, landmarks, width, height) {
+    // Same hand again before it came back: the first one never returned
+    if (this.pending.has(side)) this.finish(side, false);
+
+    const otherSide = side === 'left' ? 'right' : 'left';
+    const guardDropped = this.isDropped(otherSide, landmarks, width, height);
+
+    this.pending.set(side, { punch: punchType, side, startTime: this.clock(), guardDropped });
+    return { guardDropped };
+  }
+
+  // Call every frame while a drill is running
+  update(landmarks, width, height) {
+    if (this.pending.size === 0 || !landmarks) return;
+
+    const { shoulderWidth, chin } = measure(landmarks, width, height);
+    const now = this.clock();
+
+    [...this.pending.values()].forEach(entry => {
+      const otherSide = entry.side === 'left' ? 'right' : 'left';
+      if (this.isDropped(otherSide, landmarks, width, height)) entry.guardDropped = true;
+
+      const wrist = toPixels(landmarks[WRISTS[entry.side]], width, height);
+      const fromChin = Math.hypot(wrist.x - chin.x, wrist.y - chin.y) / shoulderWidth;
+
+      // Ignore the first frames: the wrist starts near the chin before it leaves
+      const elapsed = now - entry.startTime;
+      if (elapsed > 100 && fromChin < RETURN_RADIUS) {
+        this.finish(entry.side, true);
+      } else if (elapsed > MAX_TRACK_MS) {
+        this.finish(entry.side, false);
+      }
+    });
+  }
+
+  isDropped(side, landmarks, width, height) {
+    const { shoulderWidth, shoulderY } = measure(landmarks, width, height);
+    const wrist = toPixels(landmarks[WRISTS[side]], width, height);
+    return (wrist.y - shoulderY) / shoulderWidth > DROP_BELOW_SHOULDER;
+  }
+
+  finish(side, returned) {
+    const entry = this.pending.get(side);
+    if (!entry) return;
+    this.pending.delete(side);
+
+    const result = {
+      punch: entry.punch,
+      side,
+      returned,
+      returnTime: returned ? Math.round(this.clock() - entry.startTime) : null,
+      guardDropped: entry.guardDropped,
+    };
+    if (this.onComplete) this.onComplete(result);
+  }
+
+  reset() {
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,176 @@
+// src/js/leaderboard.js - Local leaderboards: best runs per mode, across profiles
+//
+// Every finished session with a score goes on its mode's board. Seeded
+// challenge runs (same seed and drill setup = same targets) are ranked only
+// against runs with that seed and setup; everything else goes on the mode's
+// open board. The board is shared by all profiles on the device so athletes
+// can compete.
+import { loadJSON, saveJSON } from '/src/js/storage.js';
+import { loadProfiles, getActiveProfile } from '/src/js/profile.js';
+import { escapeHTML, formatTime } from '/src/js/utils.js';
+
+export const LEADERBOARD_MODES = {
+  mitts: 'Focus Mitts',
+  combo: 'Combos',
+  rounds: 'Rounds',
+  survival: 'Survival',
+  reflex: 'Reflex',
+  program: 'Programs',
+};
+
+const STORAGE_KEY = 'leaderboard'; // Shared: [{ profileId, mode, seed, setup, score, ... }]
+const MAX_ENTRIES_PER_BOARD = 50;  // Per board; lower scores drop off
+const OPEN_BOARD = '';             // seed filter for unseeded runs
+
+// A seeded board: the seed plus the drill settings it was run with (session setup)
+const challengeOf = (entry) => ({ seed: entry.seed || OPEN_BOARD, setup: (entry.seed && entry.setup) || '' });
+const sameChallenge = (a, b) => a.seed === b.seed && a.setup === b.setup;
+const boardOf = (entry) => {
+  const { seed, setup } = challengeOf(entry);
+  return JSON.stringify([entry.mode, seed, setup]);
+};
+
+function describeBoard(mode, { seed, setup }) {
+  if (!seed) return LEADERBOARD_MODES[mode];
+  return `${LEADERBOARD_MODES[mode]} (seed ${seed}${setup ? `, ${setup}` : ''})`;
+}
+
+// Highest score first; ties go to whoever got there first
+const byRank = (a, b) => b.score - a.score || a.at.localeCompare(b.at);
+
+/**
+ * Saved entries of profiles that still exist
+ */
+export function loadLeaderboard() {
+  const profileIds = new Set(loadProfiles().profiles.map(p => p.id));
+  return loadJSON(STORAGE_KEY, [], { shared: true })
+    .filter(entry => entry && profileIds.has(entry.profileId) && LEADERBOARD_MODES[entry.mode]);
+}
+
+function saveLeaderboard(entries) {
+  const boards = {};
+  entries.forEach(entry => (boards[boardOf(entry)] = boards[boardOf(entry)] || []).push(entry));
+  const kept = Object.values(boards).flatMap(board => board.sort(byRank).slice(0, MAX_ENTRIES_PER_BOARD));
+  saveJSON(STORAGE_KEY, kept, { shared: true });
+}
+
+/**
+ * @param {Array} entries - loadLeaderboard() result
+ * @param {Object} filter - { mode, seed ('' = open board), setup (seeded boards), profileId (null = everyone), limit }
+ * @returns {Array} Ranked entries with their rank on the whole board
+ */
+export function getLeaderboard(entries, { mode, seed = OPEN_BOARD, setup = '', profileId = null, limit = 10 }) {
+  return entries
+    .filter(entry => entry.mode === mode && sameChallenge(challengeOf(entry), challengeOf({ seed, setup })))
+    .sort(byRank)
+    .map((entry, i) => ({ ...entry, rank: i + 1 }))
+    .filter(entry => !profileId || entry.profileId === profileId)
+    .slice(0, limit);
+}
+
+/**
+ * Put a finished session on its board (active profile)
+ * @param {Object} record - Session record (see session.js)
+ * @returns {Object|null} { rank, of, label } - null when the mode isn't ranked or nothing was scored
+ */
+export function recordLeaderboardRun(record) {
+  if (!LEADERBOARD_MODES[record.mode] || !(record.score > 0)) return null;
+
+  const entry = {
+    profileId: getActiveProfile().id,
+    mode: record.mode,
+    seed: record.seed || null,
+    setup: record.seed ? record.setup || '' : null,
+    score: record.score,
+    hits: record.hits || 0,
+    misses: record.misses || 0,
+    maxCombo: record.maxCombo || 0,
+    duration: record.duration || 0,
+    at: record.startedAt,
+  };
+  const entries = [...loadLeaderboard(), entry];
+  saveLeaderboard(entries);
+
+  const board = getLeaderboard(entries, { mode: entry.mode, ...challengeOf(entry), limit: Infinity });
+  const label = describeBoard(entry.mode, challengeOf(entry));
+  const { rank } = board.find(e => e.at === entry.at && e.profileId === entry.profileId);
+  return { rank, of: board.length, label };
+}
+
+export class LeaderboardView {
+  constructor() {
+    this.panel = document.getElementById('leaderboard');
+    this.modeSelect = document.getElementById('leaderboard-mode');
+    this.seedSelect = document.getElementById('leaderboard-seed');
+    this.scopeSelect = document.getElementById('leaderboard-scope');
+    this.rows = document.getElementById('leaderboard-rows');
+    this.entries = [];
+    this.challenges = []; // { seed, setup } behind each seed option
+
+    this.modeSelect.innerHTML = Object.entries(LEADERBOARD_MODES)
+      .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+      .join('');
+    this.modeSelect.addEventListener('change', () => {
+      this.updateSeedOptions();
+      this.render();
+    });
+    this.seedSelect.addEventListener('change', () => this.render());
+    this.scopeSelect.addEventListener('change', () => this.render());
+    document.getElementById('leaderboard-close').addEventListener('click', () => this.close());
+  }
+
+  /**
+   * @param {Object} board - { mode, seed, setup } to show, e.g. the last run's
+   */
+  open({ mode, seed, setup } = {}) {
+    this.entries = loadLeaderboard();
+    if (mode && LEADERBOARD_MODES[mode]) this.modeSelect.value = mode;
+    this.updateSeedOptions(challengeOf({ seed, setup }));
+    this.render();
+    this.panel.classList.remove('hidden');
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  selectedChallenge() {
+    return this.challenges[Number(this.seedSelect.value)] || challengeOf({});
+  }
+
+  updateSeedOptions(selected = this.selectedChallenge()) {
+    const seeded = this.entries
+      .filter(entry => entry.mode === this.modeSelect.value && entry.seed)
+      .map(challengeOf)
+      .filter((challenge, i, all) => all.findIndex(c => sameChallenge(c, challenge)) === i)
+      .sort((a, b) => a.seed.localeCompare(b.seed) || a.setup.localeCompare(b.setup));
+    this.challenges = [challengeOf({}), ...seeded];
+    this.seedSelect.innerHTML = this.challenges.map(({ seed, setup }, i) => {
+      const label = seed ? `Seed ${seed}${setup ? ` · ${setup}` : ''}` : 'Open';
+      return `<option value="${i}">${escapeHTML(label)}</option>`;
+    }).join('');
+    this.seedSelect.value = String(Math.max(0, this.challenges.findIndex(c => sameChallenge(c, selected))));
+  }
+
+  render() {
+    const names = Object.fromEntries(loadProfiles().profiles.map(p => [p.id, p.name]));
+    const activeId = getActiveProfile().id;
+    const board = getLeaderboard(this.entries, {
+      mode: this.modeSelect.value,
+      ...this.selectedChallenge(),
+      profileId: this.scopeSelect.value === 'me' ? activeId : null,
+    });
+
+    this.rows.innerHTML = board.length === 0
+      ? '<tr><td colspan="6" class="text-gray-500 py-4">No runs yet</td></tr>'
+      : board.map(entry => `
+        <tr class="${entry.profileId === activeId ? 'text-yellow-400' : ''}">
+          <td>${entry.rank}</td>
+          <td class="text-left">${escapeHTML(names[entry.profileId])}</td>
+          <td class="font-bold">${entry.score}</td>
+          <td>${entry.hits}/${entry.hits + entry.misses}</td>
+          <td>${formatTime(entry.duration)}</td>
+          <td class="text-gray-400">${new Date(entry.at).toLocaleDateString()}</td>
+        </tr>`).join('');
+  }
+}
@@ -0,0 +1,197 @@
+// src/js/profile.js - Several athletes sharing one device
+//
+// Each profile has its own history, lifetime stats, calibration, stance,
+// curriculum level, combos, programs and drill settings: storage.js and db.js
+// are scoped to the active profile before anything reads them. The first
+// profile keeps the original storage, so existing data becomes its data.
+import { loadJSON, saveJSON, setStorageScope, clearStorageScope } from '/src/js/storage.js';
+import { setDatabaseScope, deleteDatabaseScope } from '/src/js/db.js';
+import { escapeHTML } from '/src/js/utils.js';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Shared by all profiles: { active, profiles: [{ id, name, createdAt }], removed: [ids to purge] }
+const STORAGE_KEY = 'profiles';
+const MAX_NAME_LENGTH = 24;
+
+// Storage scope of a profile (the first one is unscoped)
+const scopeOf = (profileId) => (profileId === DEFAULT_PROFILE_ID ? null : profileId);
+
+export function loadProfiles() {
+  const saved = loadJSON(STORAGE_KEY, null, { shared: true }) || {};
+  const profiles = (Array.isArray(saved.profiles) ? saved.profiles : [])
+    .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string');
+  if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+    profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Athlete 1', createdAt: null });
+  }
+  const active = profiles.some(p => p.id === saved.active) ? saved.active : DEFAULT_PROFILE_ID;
+  const removed = Array.isArray(saved.removed) ? saved.removed : [];
+  return { active, profiles, removed };
+}
+
+function saveProfiles(data) {
+  saveJSON(STORAGE_KEY, data, { shared: true });
+}
+
+export function getActiveProfile() {
+  const { active, profiles } = loadProfiles();
+  return profiles.find(p => p.id === active);
+}
+
+/**
+ * Point storage and the training history at the active profile.
+ * Call once at startup, before any settings or history are loaded.
+ * @returns {Object} The active profile
+ */
+export function activateProfile() {
+  const data = loadProfiles();
+  purgeRemovedProfiles(data);
+  const profile = data.profiles.find(p => p.id === data.active);
+  setStorageScope(scopeOf(profile.id));
+  setDatabaseScope(scopeOf(profile.id));
+  console.log(`👤 Profile: ${profile.name}`);
+  return profile;
+}
+
+// Takes effect on the next activateProfile() (i.e. after a reload)
+export function setActiveProfile(profileId) {
+  const data = loadProfiles();
+  if (!data.profiles.some(p => p.id === profileId)) return false;
+  saveProfiles({ ...data, active: profileId });
+  return true;
+}
+
+function validateName(name, profiles, exceptId = null) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return { name: null, error: 'Name is required' };
+  if (trimmed.length > MAX_NAME_LENGTH) return { name: null, error: `Name is longer than ${MAX_NAME_LENGTH} characters` };
+  const taken = profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) return { name: null, error: `"${trimmed}" already exists` };
+  return { name: trimmed, error: null };
+}
+
+/**
+ * @returns {Object} { profile, error } - profile is null when the name is invalid
+ */
+export function createProfile(name) {
+  const data = loadProfiles();
+  const { name: valid, error } = validateName(name, data.profiles);
+  if (error) return { profile: null, error };
+
+  const profile = { id: Date.now().toString(36), name: valid, createdAt: new Date().toISOString() };
+  saveProfiles({ ...data, profiles: [...data.profiles, profile] });
+  return { profile, error: null };
+}
+
+/**
+ * @returns {string|null} Error, null when renamed
+ */
+export function renameProfile(profileId, name) {
+  const data = loadProfiles();
+  const { name: valid, error } = validateName(name, data.profiles, profileId);
+  if (error) return error;
+  saveProfiles({ ...data, profiles: data.profiles.map(p => (p.id === profileId ? { ...p, name: valid } : p)) });
+  return null;
+}
+
+/**
+ * Delete a profile and everything it saved. The first profile and the
+ * active one (whose data is in use) can't be deleted. Its data is purged on
+ * the next activateProfile(), once nothing on the page can still write to it.
+ */
+export function deleteProfile(profileId) {
+  const data = loadProfiles();
+  if (profileId === DEFAULT_PROFILE_ID || profileId === data.active) return false;
+  if (!data.profiles.some(p => p.id === profileId)) return false;
+
+  saveProfiles({
+    ...data,
+    profiles: data.profiles.filter(p => p.id !== profileId),
+    removed: [...(data.removed || []), profileId],
+  });
+  return true;
+}
+
+function purgeRemovedProfiles(data) {
+  if (!data.removed || data.removed.length === 0) return;
+  data.removed.forEach(profileId => {
+    clearStorageScope(profileId);
+    deleteDatabaseScope(profileId);
+  });
+  saveProfiles({ ...data, removed: [] });
+}
+
+export class ProfileSwitcher {
+  /**
+   * @param {Object} options - { beforeSwitch: async () => void, e.g. save the running session }
+   */
+  constructor({ beforeSwitch = async () => {} } = {}) {
+    this.select = document.getElementById('profile-select');
+    this.beforeSwitch = beforeSwitch;
+
+    this.select.addEventListener('change', () => this.switchTo(this.select.value));
+    document.getElementById('profile-add').addEventListener('click', () => this.add());
+    document.getElementById('profile-rename').addEventListener('click', () => this.rename());
+    document.getElementById('profile-delete').addEventListener('click', () => this.remove());
+    this.render();
+  }
+
+  render() {
+    const { active, profiles } = loadProfiles();
+    this.select.innerHTML = profiles
+      .map(p => `<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}</option>`)
+      .join('');
+    this.select.value = active;
+    document.getElementById('profile-delete').disabled = active === DEFAULT_PROFILE_ID;
+  }
+
+  // Anything still running is saved to the profile it belongs to first
+  async saveCurrent() {
+    this.select.disabled = true;
+    try {
+      await this.beforeSwitch();
+    } catch (e) {
+      console.error('Saving before the profile switch failed:', e);
+    }
+  }
+
+  // Everything is loaded at startup, so switching reloads the page
+  async switchTo(profileId) {
+    if (profileId === loadProfiles().active) return;
+    await this.saveCurrent();
+    setActiveProfile(profileId);
+    location.reload();
+  }
+
+  add() {
+    const name = prompt('New athlete name:');
+    if (name === null) return;
+    const { profile, error } = createProfile(name);
+    if (error) {
+      alert(error);
+      return;
+    }
+    this.switchTo(profile.id);
+  }
+
+  rename() {
+    const current = getActiveProfile();
+    const name = prompt('Rename athlete:', current.name);
+    if (name === null) return;
+    const error = renameProfile(current.id, name);
+    if (error) alert(error);
+    this.render();
+  }
+
+  // Deletes the active profile, then moves to the first one
+  async remove() {
+    const current = getActiveProfile();
+    if (current.id === DEFAULT_PROFILE_ID) return;
+    if (!confirm(`Delete ${current.name} and all of their history and settings?`)) return;
+
+    await this.saveCurrent();
+    setActiveProfile(DEFAULT_PROFILE_ID);
+    deleteProfile(current.id);
+    location.reload();
+  }
+}
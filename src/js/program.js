@@ -0,0 +1,383 @@
+// src/js/program.js - Scripted workout programs: one session, several drills
+//
+// Program format (JSON):
+//   {
+//     "format": "train-like-aj/program", "version": 1,
+//     "name": "Fundamentals",
+//     "restSeconds": 30,                 // between segments (optional)
+//     "segments": [
+//       { "type": "technique", "punch": "Jab", "reps": 5 },
+//       { "type": "mitts", "seconds": 120, "level": 3 },
+//       { "type": "combo", "seconds": 120, "combos": ["1-2-3"] },
+//       { "type": "survival", "maxMisses": 3, "seconds": 180 }
+//     ]
+//   }
+// Segments may also set "name" and drill options ("includeDefense", "returnFire",
+// "requireGoodStance") that override the sidebar checkboxes.
+import { EventEmitter, speakCoach } from '/src/js/utils.js';
+import { RoundEngine } from '/src/js/rounds.js';
+import { parseComboNotation, toComboNotation } from '/src/js/comboLibrary.js';
+import { PUNCH_TYPES } from '/src/js/punch.js';
+import { loadJSON, saveJSON } from '/src/js/storage.js';
+
+export const PROGRAM_FORMAT = 'train-like-aj/program';
+export const PROGRAM_VERSION = 1;
+export const SEGMENT_TYPES = ['technique', 'mitts', 'combo', 'survival'];
+
+const DEFAULT_SEGMENT_SECONDS = 120;
+const DEFAULT_SURVIVAL_SECONDS = 300; // Survival ends on misses - this is just a cap
+const DEFAULT_MAX_MISSES = 3;
+const DRILL_OPTIONS = ['includeDefense', 'returnFire', 'requireGoodStance'];
+const STORAGE_KEY = 'programs';
+
+export const BUILT_IN_PROGRAMS = [
+  {
+    format: PROGRAM_FORMAT,
+    version: PROGRAM_VERSION,
+    id: 'fundamentals',
+    name: 'AJ Fundamentals',
+    restSeconds: 30,
+    segments: [
+      { type: 'technique', punch: 'Jab', reps: 5 },
+      { type: 'mitts', seconds: 120, level: 3 },
+      { type: 'combo', seconds: 120, combos: ['1-2-3'] },
+      { type: 'survival', maxMisses: 3 },
+    ],
+  },
+  {
+    format: PROGRAM_FORMAT,
+    version: PROGRAM_VERSION,
+    id: 'power-hands',
+    name: 'Power Hands',
+    restSeconds: 45,
+    segments: [
+      { type: 'technique', punch: 'Left Hook', reps: 3 },
+      { type: 'technique', punch: 'Right Uppercut', reps: 3 },
+      { type: 'combo', seconds: 150, combos: ['1-2-3', '1-2-5', '1-6-3'] },
+      { type: 'mitts', seconds: 150, level: 5, returnFire: true },
+    ],
+  },
+];
+
+export function describeSegment(segment) {
+  if (segment.name) return segment.name;
+  switch (segment.type) {
+    case 'technique': return `Form Lab: ${segment.punch} hold ×${segment.reps}`;
+    case 'mitts': return `Focus Mitts level ${segment.level}`;
+    case 'combo': return segment.combos ? `Combos ${segment.combos.join(', ')}` : 'Combos';
+    case 'survival': return 'Survival';
+    default: return segment.type;
+  }
+}
+
+/**
+ * Validate a program (JSON text or object) and fill in defaults.
+ * Throws an Error describing the first problem found.
+ */
+export function parseProgram(input) {
+  let program = input;
+  if (typeof input === 'string') {
+    try {
+      program = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Program is not valid JSON: ${e.message}`);
+    }
+  }
+
+  if (!program || program.format !== PROGRAM_FORMAT) {
+    throw new Error(`Unknown program format: ${program && program.format}`);
+  }
+  if (program.version > PROGRAM_VERSION) {
+    throw new Error(`Program version ${program.version} is newer than supported (${PROGRAM_VERSION})`);
+  }
+  if (!Array.isArray(program.segments) || program.segments.length === 0) {
+    throw new Error('Program needs at least one segment');
+  }
+
+  const segments = program.segments.map((segment, i) => {
+    const where = `Segment ${i + 1}`;
+    if (!SEGMENT_TYPES.includes(segment.type)) {
+      throw new Error(`${where}: type must be one of ${SEGMENT_TYPES.join(', ')}`);
+    }
+
+    const parsed = { type: segment.type };
+    if (segment.name) parsed.name = String(segment.name);
+    DRILL_OPTIONS.forEach(key => {
+      if (typeof segment[key] === 'boolean') parsed[key] = segment[key];
+    });
+
+    if (segment.type === 'technique') {
+      if (!PUNCH_TYPES.includes(segment.punch)) throw new Error(`${where}: unknown punch "${segment.punch}"`);
+      parsed.punch = segment.punch;
+      parsed.reps = Math.max(1, Math.round(segment.reps || 1));
+      if (segment.seconds) parsed.seconds = Math.max(10, Math.round(segment.seconds)); // Optional time limit
+    } else {
+      const fallback = segment.type === 'survival' ? DEFAULT_SURVIVAL_SECONDS : DEFAULT_SEGMENT_SECONDS;
+      parsed.seconds = Math.max(10, Math.round(segment.seconds || fallback));
+    }
+
+    if (segment.type === 'mitts') parsed.level = Math.max(1, Math.round(segment.level || 1));
+    if (segment.type === 'survival') parsed.maxMisses = Math.max(1, Math.round(segment.maxMisses || DEFAULT_MAX_MISSES));
+
+    if (segment.type === 'combo' && segment.combos) {
+      if (!Array.isArray(segment.combos) || segment.combos.length === 0) {
+        throw new Error(`${where}: combos must be a list like ["1-2-3"]`);
+      }
+      segment.combos.forEach(notation => {
+        const { valid, errors } = parseComboNotation(notation);
+        if (!valid) throw new Error(`${where}: combo "${notation}": ${errors[0]}`);
+      });
+      parsed.combos = segment.combos.map(notation => toComboNotation(parseComboNotation(notation).sequence));
+    }
+
+    return parsed;
+  });
+
+  return {
+    format: PROGRAM_FORMAT,
+    version: PROGRAM_VERSION,
+    id: program.id || null,
+    name: String(program.name || 'Custom Program'),
+    restSeconds: Math.max(0, Math.round(program.restSeconds ?? 30)),
+    segments,
+  };
+}
+
+// Programs loaded from a file are kept so they're there next time
+export function loadCustomPrograms() {
+  const saved = loadJSON(STORAGE_KEY, []);
+  if (!Array.isArray(saved)) {
+    console.warn('Dropping saved programs: not a list');
+    return [];
+  }
+  return saved.filter(program => {
+    try {
+      parseProgram(program);
+      return true;
+    } catch (e) {
+      console.warn(`Dropping saved program "${program && program.name}":`, e.message);
+      return false;
+    }
+  });
+}
+
+/**
+ * Save (or replace, by name) a custom program
+ * @returns {Object} The parsed program, with an id
+ */
+export function saveCustomProgram(input) {
+  const program = parseProgram(input);
+  const programs = loadCustomPrograms().filter(p => p.name !== program.name);
+  program.id = `custom-${Date.now().toString(36)}`;
+  programs.push(program);
+  saveJSON(STORAGE_KEY, programs);
+  return program;
+}
+
+/**
+ * Runs a program's segments in order with rest in between.
+ *
+ * Events: segmentStart { index, total, segment, label }, tick { phase, remaining },
+ *         segmentEnd { index, summary }, restStart { nextIndex, duration },
+ *         programEnd { completed, report }
+ *
+ * The host wires the runner into the page:
+ *   techniqueTrainer          - the Form Lab TechniqueTrainer
+ *   createDrill(type, opts)   - 'mitts' | 'combo' -> FocusMittDrill / ComboDrill
+ *   setMode(mode, drill)      - switch the page to 'technique' or 'game' (drill = active drill)
+ *   getStats()                - page-wide counters ({ score, punches }) for summaries
+ */
+export class ProgramRunner extends EventEmitter {
+  constructor(program, host) {
+    super();
+    this.program = parseProgram(program);
+    this.host = host;
+    this.isRunning = false;
+    this.index = -1;
+    this.engine = null;       // RoundEngine timing the current segment
+    this.drill = null;
+    this.restInterval = null;
+    this.segmentTimeout = null;
+    this.segmentStartTime = 0;
+    this.segmentStartStats = null;
+    this.summaries = [];
+    this.startedAt = null;
+  }
+
+  start() {
+    this.isRunning = true;
+    this.index = -1;
+    this.summaries = [];
+    this.startedAt = new Date();
+    speakCoach(`${this.program.name}. ${this.program.segments.length} parts. Let's work.`);
+    this.nextSegment();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.endCurrentSegment();
+    clearInterval(this.restInterval);
+    this.emit('programEnd', { completed: false, report: this.buildReport(false) });
+  }
+
+  nextSegment() {
+    if (!this.isRunning) return;
+
+    this.index++;
+    if (this.index >= this.program.segments.length) {
+      this.isRunning = false;
+      this.emit('programEnd', { completed: true, report: this.buildReport(true) });
+      return;
+    }
+
+    const segment = this.program.segments[this.index];
+    const label = describeSegment(segment);
+    this.segmentStartTime = Date.now();
+    this.segmentStartStats = this.host.getStats();
+    this.emit('segmentStart', { index: this.index, total: this.program.segments.length, segment, label });
+
+    if (segment.type === 'technique') this.runTechnique(segment);
+    else this.runDrill(segment);
+  }
+
+  runTechnique(segment) {
+    this.host.setMode('technique', null);
+    this.host.techniqueTrainer.start(segment.punch, {
+      reps: segment.reps,
+      onComplete: ({ reps }) => this.finishSegment({ completed: true, holds: reps }),
+    });
+
+    // Optional time limit: move on with however many holds were done
+    if (segment.seconds) {
+      this.segmentTimeout = setTimeout(() => {
+        const holds = this.host.techniqueTrainer.repsDone;
+        this.host.techniqueTrainer.stop();
+        this.finishSegment({ completed: false, holds });
+      }, segment.seconds * 1000);
+    }
+  }
+
+  runDrill(segment) {
+    const options = {};
+    DRILL_OPTIONS.forEach(key => {
+      if (key in segment) options[key] = segment[key];
+    });
+    if (segment.type === 'mitts') options.startLevel = segment.level;
+    if (segment.type === 'survival') options.returnFire = true;
+    if (segment.combos) {
+      options.combos = segment.combos.map(notation => ({
+        id: notation,
+        name: notation,
+        sequence: parseComboNotation(notation).sequence,
+      }));
+    }
+
+    this.drill = this.host.createDrill(segment.type === 'combo' ? 'combo' : 'mitts', options);
+    this.host.setMode('game', this.drill);
+
+    // One-round RoundEngine does the clock, bell and drill start/stop
+    this.engine = new RoundEngine({ rounds: 1, roundSeconds: segment.seconds, restSeconds: 0 });
+    this.drill.bindRounds(this.engine);
+    this.engine.on('tick', ({ remaining }) => this.emit('tick', { phase: 'segment', remaining }));
+
+    if (segment.type === 'survival') {
+      this.engine.on('tick', () => {
+        if (this.drill.totalMisses + this.drill.hitsTaken >= segment.maxMisses) this.engine.stop();
+      });
+    }
+
+    this.engine.on('workoutEnd', ({ completed }) => {
+      const survived = segment.type === 'survival' ? completed : undefined;
+      this.finishSegment({ completed: segment.type === 'survival' ? true : completed, survived, ...this.drill.getStats() });
+    });
+    this.engine.start();
+  }
+
+  finishSegment(stats) {
+    clearTimeout(this.segmentTimeout);
+    this.engine = null;
+    this.drill = null;
+
+    const segment = this.program.segments[this.index];
+    const before = this.segmentStartStats || {};
+    const after = this.host.getStats();
+    const summary = {
+      index: this.index,
+      type: segment.type,
+      label: describeSegment(segment),
+      duration: Math.round((Date.now() - this.segmentStartTime) / 1000),
+      ...stats,
+    };
+    Object.entries(after).forEach(([key, value]) => {
+      if (typeof value === 'number') summary[key] = value - (before[key] || 0);
+    });
+    this.summaries.push(summary);
+    this.emit('segmentEnd', { index: this.index, summary });
+
+    if (this.isRunning) this.rest();
+  }
+
+  // Tear down whatever the current segment is running
+  endCurrentSegment() {
+    clearTimeout(this.segmentTimeout);
+    if (this.engine) {
+      this.engine.stop(); // -> workoutEnd -> finishSegment (no next segment: not running)
+    } else if (this.index >= 0 && this.index < this.program.segments.length && this.host.techniqueTrainer.currentMove) {
+      const holds = this.host.techniqueTrainer.repsDone;
+      this.host.techniqueTrainer.stop();
+      this.finishSegment({ completed: false, holds });
+    }
+  }
+
+  rest() {
+    const isLast = this.index >= this.program.segments.length - 1;
+    const duration = this.program.restSeconds;
+    if (isLast || duration === 0) {
+      this.nextSegment();
+      return;
+    }
+
+    this.host.setMode('game', null); // Keep tracking, nothing to hit
+    const next = describeSegment(this.program.segments[this.index + 1]);
+    this.emit('restStart', { nextIndex: this.index + 1, duration });
+    speakCoach(`Rest. Next up: ${next}.`);
+
+    const end = Date.now() + duration * 1000;
+    let shown = duration;
+    this.emit('tick', { phase: 'rest', remaining: duration });
+    this.restInterval = setInterval(() => {
+      const remaining = Math.max(0, Math.ceil((end - Date.now()) / 1000));
+      if (remaining !== shown) {
+        shown = remaining;
+        this.emit('tick', { phase: 'rest', remaining });
+      }
+      if (remaining === 0) {
+        clearInterval(this.restInterval);
+        this.nextSegment();
+      }
+    }, 250);
+  }
+
+  /**
+   * One combined report for the whole session
+   */
+  buildReport(completed) {
+    const totals = {};
+    this.summaries.forEach(summary => {
+      Object.entries(summary).forEach(([key, value]) => {
+        if (typeof value === 'number' && key !== 'index') totals[key] = (totals[key] || 0) + value;
+      });
+    });
+
+    return {
+      program: this.program.name,
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      completed,
+      segmentsPlanned: this.program.segments.length,
+      segmentsDone: this.summaries.length,
+      totals,
+      segments: this.summaries,
+    };
+  }
+}
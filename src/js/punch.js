@@ -1,8 +1,12 @@
 // src/js/punch.js - EASIER DETECTION & FASTER GAMEPLAY
-import { computeAngle } from '/src/js/utils.js';
+import { computeAngle } from './utils.js';
+
+// Default clock. Replays inject their own so recorded sessions classify the same way every time.
+const systemClock = () => performance.now();
 
 export class SpeedTracker {
-  constructor() {
+  constructor(clock = systemClock) {
+    this.clock = clock;
     this.lastPositions = new Map();
     this.velocityHistory = new Map();
     this.maxHistorySize = 5;
@@ -10,7 +14,7 @@ export class SpeedTracker {
 
   updateSpeed(landmarkId, x, y) {
     const key = `${landmarkId}`;
-    const now = performance.now();
+    const now = this.clock();
     
     if (!this.lastPositions.has(key)) {
       this.lastPositions.set(key, { x, y, time: now });
@@ -47,19 +51,21 @@ export class SpeedTracker {
 }
 
 class PunchCooldown {
-  constructor(cooldownMs = 250) { // Reduced from 350 to 250 for faster combos
+  constructor(cooldownMs = 250, clock = systemClock) { // Reduced from 350 to 250 for faster combos
     this.cooldownMs = cooldownMs;
+    this.clock = clock;
+    this.stance = 'orthodox';
     this.lastPunchTime = 0;
     this.lastPunchType = null;
   }
 
   canPunch(punchType) {
-    const now = performance.now();
+    const now = this.clock();
     
     // LOGIC: Allow alternating hands instantly.
     // Only apply cooldown if punching with the SAME hand consecutively.
-    const isLeft = punchType.includes('Left') || punchType === 'Jab';
-    const wasLeft = this.lastPunchType && (this.lastPunchType.includes('Left') || this.lastPunchType === 'Jab');
+    const isLeft = getPunchSide(punchType, this.stance) === 'left';
+    const wasLeft = this.lastPunchType && getPunchSide(this.lastPunchType, this.stance) === 'left';
     
     const isSameHand = (isLeft && wasLeft) || (!isLeft && !wasLeft && this.lastPunchType);
 
@@ -77,96 +83,285 @@ class PunchCooldown {
   }
 }
 
-const speedTracker = new SpeedTracker();
-const punchCooldown = new PunchCooldown(250);
+// How far down the torso (shoulder -> hip) the wrist must be to count as a body shot
+const BODY_LINE_RATIO = 0.5;
+// MediaPipe always returns every landmark; below this the hips are guessed (out of frame)
+const MIN_HIP_VISIBILITY = 0.5;
 
-// Enhanced punch detection with RELAXED thresholds
-export async function detectPunch(landmarks, width, height) {
-  if (!landmarks || landmarks.length < 17) {
-    return { 
-      punch: null, 
-      extras: getDefaultExtras()
-    };
+// --- ARCADE THRESHOLDS (Easier to hit) ---
+export const DEFAULT_THRESHOLDS = {
+  minSpeed: 40,        // Lowered from 70
+  minExtRatio: 0.5,    // Register hit at 50% extension (was 100%)
+  minBodyAngle: 100,   // Body shots reach out, they are not tucked like uppercuts
+  maxBodyAngle: 165,   // ...but keep some bend - a locked arm dropping to the side isn't one
+  minBodyExtRatio: 0.3,   // The fist travels out from the shoulder
+  maxHookExtRatio: 0.7,   // Hooks stay bent - past this it's a straight
+  maxUppercutAngle: 120,  // Uppercuts keep the elbow tight
+};
+
+// Owns the per-session tracking state. The app uses one shared instance through
+// detectPunch(); replays and tests create their own with an injected clock.
+export class PunchDetector {
+  constructor({ clock = systemClock, thresholds = {}, cooldownMs = 250, stance = 'orthodox' } = {}) {
+    this.clock = clock;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.speedTracker = new SpeedTracker(clock);
+    this.punchCooldown = new PunchCooldown(cooldownMs, clock);
+    this.lastExtRatios = { left: null, right: null }; // Previous frame, for the direction of travel
+    this.setStance(stance); // Also clears quietStance: analyzeStance() of the last frame with both hands still
   }
 
-  const leftShoulder = landmarks[11];
-  const rightShoulder = landmarks[12];
-  const leftElbow = landmarks[13];
-  const rightElbow = landmarks[14];
-  const leftWrist = landmarks[15];
-  const rightWrist = landmarks[16];
-
-  // Calculate speeds
-  const leftSpeed = leftWrist ? speedTracker.updateSpeed(15, leftWrist.x * width, leftWrist.y * height) : 0;
-  const rightSpeed = rightWrist ? speedTracker.updateSpeed(16, rightWrist.x * width, rightWrist.y * height) : 0;
-  
-  // Calculate angles
-  const leftAngle = computeAngle(leftShoulder, leftElbow, leftWrist);
-  const rightAngle = computeAngle(rightShoulder, rightElbow, rightWrist);
-
-  // Calculate Extension Ratio (How far arm is extended relative to body size)
-  // This makes it work regardless of how close/far you are from camera
-  const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x) * width;
-  const leftExtensionDist = Math.abs(leftWrist.x - leftShoulder.x) * width;
-  const rightExtensionDist = Math.abs(rightWrist.x - rightShoulder.x) * width;
-  
-  const leftExtRatio = leftExtensionDist / shoulderWidth;
-  const rightExtRatio = rightExtensionDist / shoulderWidth;
-
-  const extras = { 
-    leftSpeed, rightSpeed, leftAngle, rightAngle, 
-    leftExtension: leftExtensionDist, rightExtension: rightExtensionDist,
-    stance: { isGood: true, tips: [] } // Simplified stance for gameplay performance
-  };
+  setThresholds(thresholds) {
+    this.thresholds = { ...this.thresholds, ...thresholds };
+  }
 
-  // --- ARCADE THRESHOLDS (Easier to hit) ---
-  const MIN_SPEED = 40;        // Lowered from 70
-  const MIN_EXT_RATIO = 0.5;   // Register hit at 50% extension (was 100%)
-  
-  // 1. JAB (Left)
-  if (leftSpeed > MIN_SPEED && leftExtRatio > MIN_EXT_RATIO) {
-    if (punchCooldown.canPunch('Jab')) {
-      return { punch: 'Jab', extras, confidence: 100, formTip: "Nice speed!" };
-    }
+  // 'orthodox' jabs with the left hand, 'southpaw' with the right
+  setStance(stance) {
+    this.stance = stance;
+    this.punchCooldown.stance = stance;
+    this.quietStance = null; // Judged for the old stance
   }
 
-  // 2. CROSS (Right)
-  if (rightSpeed > MIN_SPEED && rightExtRatio > MIN_EXT_RATIO) {
-    if (punchCooldown.canPunch('Cross')) {
-      return { punch: 'Cross', extras, confidence: 100, formTip: "Good power!" };
+  // Enhanced punch detection with RELAXED thresholds
+  detect(landmarks, width, height) {
+    if (!landmarks || landmarks.length < 17) {
+      return { 
+        punch: null, 
+        extras: getDefaultExtras()
+      };
     }
-  }
 
-  // 3. LEFT HOOK
-  // Logic: High speed, but arm is bent (low extension), and wrist is high
-  if (leftSpeed > MIN_SPEED && leftExtRatio < 0.7 && leftWrist.y < leftShoulder.y + 0.2) {
-    if (punchCooldown.canPunch('Left Hook')) {
-      return { punch: 'Left Hook', extras, confidence: 85 };
+    const { speedTracker, punchCooldown } = this;
+
+    const leftShoulder = landmarks[11];
+    const rightShoulder = landmarks[12];
+    const leftElbow = landmarks[13];
+    const rightElbow = landmarks[14];
+    const leftWrist = landmarks[15];
+    const rightWrist = landmarks[16];
+    const leftHip = landmarks[23];
+    const rightHip = landmarks[24];
+
+    // Calculate speeds
+    const leftSpeed = leftWrist ? speedTracker.updateSpeed(15, leftWrist.x * width, leftWrist.y * height) : 0;
+    const rightSpeed = rightWrist ? speedTracker.updateSpeed(16, rightWrist.x * width, rightWrist.y * height) : 0;
+    
+    // Calculate angles
+    const leftAngle = computeAngle(leftShoulder, leftElbow, leftWrist);
+    const rightAngle = computeAngle(rightShoulder, rightElbow, rightWrist);
+
+    // Calculate Extension Ratio (How far arm is extended relative to body size)
+    // This makes it work regardless of how close/far you are from camera
+    const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x) * width;
+    const leftExtensionDist = Math.abs(leftWrist.x - leftShoulder.x) * width;
+    const rightExtensionDist = Math.abs(rightWrist.x - rightShoulder.x) * width;
+    
+    const leftExtRatio = leftExtensionDist / shoulderWidth;
+    const rightExtRatio = rightExtensionDist / shoulderWidth;
+
+    const {
+      minSpeed: MIN_SPEED,
+      minExtRatio: MIN_EXT_RATIO,
+      minBodyAngle: MIN_BODY_ANGLE,
+      maxBodyAngle: MAX_BODY_ANGLE,
+      minBodyExtRatio: MIN_BODY_EXT_RATIO,
+      maxHookExtRatio: MAX_HOOK_EXT_RATIO,
+      maxUppercutAngle: MAX_UPPERCUT_ANGLE,
+    } = this.thresholds;
+
+    // A hand that is punching right now is exempt from the guard check
+    const punchingHands = [];
+    if (leftSpeed > MIN_SPEED) punchingHands.push('left');
+    if (rightSpeed > MIN_SPEED) punchingHands.push('right');
+
+    // Stance is judged while both hands are quiet: a good cross or hook squares
+    // and tilts the shoulders on the punch frame, so punches get the last
+    // sample from before they started
+    let stance;
+    if (punchingHands.length === 0) {
+      stance = analyzeStance(landmarks, { stance: this.stance, width, height });
+      this.quietStance = stance;
+    } else {
+      stance = this.quietStance || analyzeStance(landmarks, { stance: this.stance, width, height, ignoreHands: punchingHands });
     }
-  }
 
-  // 4. RIGHT HOOK
-  if (rightSpeed > MIN_SPEED && rightExtRatio < 0.7 && rightWrist.y < rightShoulder.y + 0.2) {
-    if (punchCooldown.canPunch('Right Hook')) {
-      return { punch: 'Right Hook', extras, confidence: 85 };
+    const extras = { 
+      leftSpeed, rightSpeed, leftAngle, rightAngle, 
+      leftExtension: leftExtensionDist, rightExtension: rightExtensionDist,
+      leftExtRatio, rightExtRatio,
+      stance,
+    };
+
+    // Extending = the fist moving away from the shoulder (a retracting punch isn't a new one)
+    const leftExtending = this.lastExtRatios.left !== null && leftExtRatio > this.lastExtRatios.left;
+    const rightExtending = this.lastExtRatios.right !== null && rightExtRatio > this.lastExtRatios.right;
+    this.lastExtRatios = { left: leftExtRatio, right: rightExtRatio };
+
+    // 0. BODY SHOTS
+    // Logic: Checked first, otherwise a low straight punch reads as a Jab/Cross.
+    // Wrist must be below the mid-torso line (halfway between shoulder and hip),
+    // travelling out with a bent-but-open elbow.
+    const hipsVisible = [leftHip, rightHip].every(hip => hip && (hip.visibility ?? 1) >= MIN_HIP_VISIBILITY);
+    if (hipsVisible) {
+      const leftBodyLine = leftShoulder.y + (leftHip.y - leftShoulder.y) * BODY_LINE_RATIO;
+      const rightBodyLine = rightShoulder.y + (rightHip.y - rightShoulder.y) * BODY_LINE_RATIO;
+      const isBodyShot = (speed, wristY, bodyLine, angle, extRatio, extending) => (
+        speed > MIN_SPEED && wristY > bodyLine && extending
+        && angle > MIN_BODY_ANGLE && angle < MAX_BODY_ANGLE && extRatio > MIN_BODY_EXT_RATIO
+      );
+
+      if (isBodyShot(leftSpeed, leftWrist.y, leftBodyLine, leftAngle, leftExtRatio, leftExtending)) {
+        if (punchCooldown.canPunch('Left Body')) {
+          return { punch: 'Left Body', extras, confidence: 80, formTip: "Dig to the ribs!" };
+        }
+      }
+
+      if (isBodyShot(rightSpeed, rightWrist.y, rightBodyLine, rightAngle, rightExtRatio, rightExtending)) {
+        if (punchCooldown.canPunch('Right Body')) {
+          return { punch: 'Right Body', extras, confidence: 80, formTip: "Sit down on it!" };
+        }
+      }
     }
-  }
 
-  // 5. UPPERCUTS
-  // Logic: High speed, Wrist is below nose but moving up, Elbow is low
-  if (leftSpeed > MIN_SPEED && leftWrist.y > leftShoulder.y - 0.2 && leftAngle < 120) {
-    if (punchCooldown.canPunch('Left Uppercut')) {
-      return { punch: 'Left Uppercut', extras, confidence: 80 };
+    // Straights are stance-relative: lead hand jabs, rear hand crosses
+    const southpaw = this.stance === 'southpaw';
+    const leadSpeed = southpaw ? rightSpeed : leftSpeed;
+    const leadExtRatio = southpaw ? rightExtRatio : leftExtRatio;
+    const rearSpeed = southpaw ? leftSpeed : rightSpeed;
+    const rearExtRatio = southpaw ? leftExtRatio : rightExtRatio;
+
+    // 1. JAB (Lead)
+    if (leadSpeed > MIN_SPEED && leadExtRatio > MIN_EXT_RATIO) {
+      if (punchCooldown.canPunch('Jab')) {
+        return { punch: 'Jab', extras, confidence: 100, formTip: "Nice speed!" };
+      }
+    }
+
+    // 2. CROSS (Rear)
+    if (rearSpeed > MIN_SPEED && rearExtRatio > MIN_EXT_RATIO) {
+      if (punchCooldown.canPunch('Cross')) {
+        return { punch: 'Cross', extras, confidence: 100, formTip: "Good power!" };
+      }
+    }
+
+    // 3. LEFT HOOK
+    // Logic: High speed, but arm is bent (low extension), and wrist is high
+    if (leftSpeed > MIN_SPEED && leftExtRatio < MAX_HOOK_EXT_RATIO && leftWrist.y < leftShoulder.y + 0.2) {
+      if (punchCooldown.canPunch('Left Hook')) {
+        return { punch: 'Left Hook', extras, confidence: 85 };
+      }
+    }
+
+    // 4. RIGHT HOOK
+    if (rightSpeed > MIN_SPEED && rightExtRatio < MAX_HOOK_EXT_RATIO && rightWrist.y < rightShoulder.y + 0.2) {
+      if (punchCooldown.canPunch('Right Hook')) {
+        return { punch: 'Right Hook', extras, confidence: 85 };
+      }
     }
+
+    // 5. UPPERCUTS
+    // Logic: High speed, Wrist is below nose but moving up, Elbow is low
+    if (leftSpeed > MIN_SPEED && leftWrist.y > leftShoulder.y - 0.2 && leftAngle < MAX_UPPERCUT_ANGLE) {
+      if (punchCooldown.canPunch('Left Uppercut')) {
+        return { punch: 'Left Uppercut', extras, confidence: 80 };
+      }
+    }
+
+    if (rightSpeed > MIN_SPEED && rightWrist.y > rightShoulder.y - 0.2 && rightAngle < MAX_UPPERCUT_ANGLE) {
+      if (punchCooldown.canPunch('Right Uppercut')) {
+        return { punch: 'Right Uppercut', extras, confidence: 80 };
+      }
+    }
+
+    return { punch: null, extras, confidence: 0, formTip: null };
+  }
+
+  reset() {
+    this.speedTracker.reset();
+    this.punchCooldown.reset();
+    this.lastExtRatios = { left: null, right: null };
+    this.quietStance = null;
+  }
+}
+
+const defaultDetector = new PunchDetector();
+
+export async function detectPunch(landmarks, width, height) {
+  return defaultDetector.detect(landmarks, width, height);
+}
+
+// Stance limits, in shoulder widths so distance from the camera doesn't matter
+const GUARD_REACH = 1.0;     // Wrist must be within this of the nose...
+const GUARD_DROP = 0.35;     // ...and no further than this below the shoulder line
+const CHIN_HEIGHT = 0.8;     // Nose higher than this above the shoulders = chin up
+const SHOULDER_TILT = 0.2;   // Allowed height difference between the shoulders
+const MIN_BLADE = 0.15;      // Shoulder depth difference below this = square stance
+
+/**
+ * Check the fighting stance: guard, chin, shoulders and body angle.
+ * @param {Array} landmarks - MediaPipe pose landmarks
+ * @param {Object} options - { stance, width, height, ignoreHands: ['left'|'right'] }
+ * @returns {Object} { isGood, tips, checks: { guard, chin, shoulders, bladed }, score }
+ */
+export function analyzeStance(landmarks, { stance = 'orthodox', width = 1, height = 1, ignoreHands = [] } = {}) {
+  if (!landmarks || landmarks.length < 17) {
+    return { isGood: false, tips: ['Step into the frame'], checks: {}, score: 0 };
   }
 
-  if (rightSpeed > MIN_SPEED && rightWrist.y > rightShoulder.y - 0.2 && rightAngle < 120) {
-    if (punchCooldown.canPunch('Right Uppercut')) {
-      return { punch: 'Right Uppercut', extras, confidence: 80 };
+  // Pixels, so x and y distances are comparable
+  const px = (lm) => ({ x: lm.x * width, y: lm.y * height });
+  const nose = px(landmarks[0]);
+  const leftShoulder = px(landmarks[11]);
+  const rightShoulder = px(landmarks[12]);
+  const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y) || 1;
+  const shoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+
+  const tips = [];
+  const checks = { guard: true, chin: true, shoulders: true, bladed: true };
+
+  // 1. GUARD - both hands up by the chin
+  [['left', 15], ['right', 16]].forEach(([side, index]) => {
+    if (ignoreHands.includes(side)) return;
+    const wrist = px(landmarks[index]);
+    const nearFace = Math.hypot(wrist.x - nose.x, wrist.y - nose.y) / shoulderWidth < GUARD_REACH;
+    const dropped = (wrist.y - shoulderY) / shoulderWidth > GUARD_DROP;
+    if (!nearFace || dropped) {
+      checks.guard = false;
+      tips.push(`${side === 'left' ? 'Left' : 'Right'} hand up to your chin!`);
     }
+  });
+
+  // 2. CHIN - tucked, not sticking up above the shoulders
+  if ((shoulderY - nose.y) / shoulderWidth > CHIN_HEIGHT) {
+    checks.chin = false;
+    tips.push('Tuck your chin');
+  }
+
+  // 3. SHOULDERS - level
+  if (Math.abs(leftShoulder.y - rightShoulder.y) / shoulderWidth > SHOULDER_TILT) {
+    checks.shoulders = false;
+    tips.push('Keep shoulders level');
+  }
+
+  // 4. BODY ANGLE - bladed, lead shoulder towards the camera (smaller z)
+  const normalizedWidth = shoulderWidth / width;
+  const depth = (landmarks[11].z - landmarks[12].z) / normalizedWidth; // < 0 = left side forward
+  const leadForward = stance === 'southpaw' ? depth > 0 : depth < 0;
+  if (Math.abs(depth) < MIN_BLADE) {
+    checks.bladed = false;
+    tips.push('Turn body slightly');
+  } else if (!leadForward) {
+    checks.bladed = false;
+    tips.push(`Lead with your ${stance === 'southpaw' ? 'right' : 'left'} shoulder`);
   }
 
-  return { punch: null, extras, confidence: 0, formTip: null };
+  const passed = Object.values(checks).filter(Boolean).length;
+  return {
+    isGood: tips.length === 0,
+    tips,
+    checks,
+    score: Math.round((passed / 4) * 100),
+  };
 }
 
 function getDefaultExtras() {
@@ -174,17 +369,34 @@ function getDefaultExtras() {
     leftSpeed: 0, rightSpeed: 0,
     leftAngle: 0, rightAngle: 0,
     leftExtension: 0, rightExtension: 0,
-    stance: { isGood: false, tips: [] }
+    leftExtRatio: 0, rightExtRatio: 0,
+    stance: { isGood: false, tips: [], checks: {}, score: 0 }
   };
 }
 
 export function resetPunchDetection() {
-  speedTracker.reset();
-  punchCooldown.reset();
+  defaultDetector.reset();
+}
+
+// Personal thresholds from calibration; pass DEFAULT_THRESHOLDS to undo
+export function setDetectionThresholds(thresholds) {
+  defaultDetector.setThresholds(thresholds);
+}
+
+export function setDetectionStance(stance) {
+  defaultDetector.setStance(stance);
+}
+
+// Which hand throws the punch ('left' or 'right'). Jab = lead hand, Cross = rear hand.
+export function getPunchSide(punchType, stance = 'orthodox') {
+  if (punchType === 'Jab') return stance === 'southpaw' ? 'right' : 'left';
+  if (punchType === 'Cross') return stance === 'southpaw' ? 'left' : 'right';
+  return punchType.includes('Left') ? 'left' : 'right';
 }
 
 export const PUNCH_TYPES = [
   'Jab', 'Cross', 
   'Left Hook', 'Right Hook', 
-  'Left Uppercut', 'Right Uppercut'
+  'Left Uppercut', 'Right Uppercut',
+  'Left Body', 'Right Body'
 ];
\ No newline at end of file
@@ -0,0 +1,89 @@
+// src/js/punchLog.js - Every detected punch of the current session, for export
+//
+// One row per punch: detection (type, confidence, raw speed / elbow angle /
+// extension of the punching arm), its calculateScore() result and, during a
+// drill, whether it landed on the target. Exported as CSV for spreadsheets or JSON.
+import { toCSV, downloadFile, downloadAsJSON } from '/src/js/utils.js';
+
+export const PUNCH_LOG_COLUMNS = [
+  'time', 'elapsedMs', 'mode', 'punch', 'hand', 'confidence',
+  'speed', 'angle', 'extension', 'extensionRatio',
+  'speedScore', 'formScore', 'totalScore', 'grade', 'guardScore',
+  'drillTarget',
+];
+
+const MAX_ENTRIES = 5000; // ~an hour of steady punching; oldest rows drop off after that
+
+const round = (value, digits = 1) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+
+export class PunchLog {
+  constructor(clock = () => Date.now()) {
+    this.clock = clock;
+    this.clear();
+  }
+
+  // New session, new log
+  clear() {
+    this.startedAt = this.clock();
+    this.entries = [];
+  }
+
+  /**
+   * @param {Object} punchData - detectPunch() result
+   * @param {Object} scores - calculateScore() result
+   * @param {Object} context - { mode, hand, drillTarget: true | false | null (no drill) }
+   */
+  record(punchData, scores, { mode = null, hand, drillTarget = null } = {}) {
+    const now = this.clock();
+    const extras = punchData.extras || {};
+    const prefix = hand === 'right' ? 'right' : 'left';
+
+    this.entries.push({
+      time: new Date(now).toISOString(),
+      elapsedMs: Math.round(now - this.startedAt),
+      mode,
+      punch: punchData.punch,
+      hand,
+      confidence: punchData.confidence,
+      speed: round(extras[`${prefix}Speed`]),
+      angle: round(extras[`${prefix}Angle`]),
+      extension: round(extras[`${prefix}Extension`], 3),
+      extensionRatio: round(extras[`${prefix}ExtRatio`], 3),
+      speedScore: round(scores.speedScore, 0),
+      formScore: round(scores.formScore, 0),
+      totalScore: round(scores.totalScore, 0),
+      grade: scores.grade,
+      guardScore: scores.defenseScore ?? null,
+      drillTarget,
+    });
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  toCSV() {
+    return toCSV(this.entries, PUNCH_LOG_COLUMNS);
+  }
+
+  toJSON() {
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      columns: PUNCH_LOG_COLUMNS,
+      punches: this.entries,
+    };
+  }
+
+  filename(extension) {
+    return `punch-log-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.${extension}`;
+  }
+
+  downloadCSV() {
+    downloadFile(this.toCSV(), this.filename('csv'), 'text/csv');
+  }
+
+  downloadJSON() {
+    downloadAsJSON(this.toJSON(), this.filename('json'));
+  }
+}
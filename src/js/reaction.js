@@ -0,0 +1,135 @@
+// src/js/reaction.js - Reaction times: target shown -> matching punch landed
+import { getPunchSide } from '/src/js/punch.js';
+import { getStance } from '/src/js/stance.js';
+import { isDefenseMove, BLOCK } from '/src/js/defense.js';
+
+const HISTOGRAM_BUCKET_MS = 100;
+
+// Slips, ducks, rolls and blocks answer the trainer's attacks: timed, but not punches
+const isDefense = (punch) => isDefenseMove(punch) || punch === BLOCK;
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// [{ from, count }] in HISTOGRAM_BUCKET_MS steps, fastest first
+function histogram(sorted) {
+  const buckets = [];
+  sorted.forEach(ms => {
+    const from = Math.floor(ms / HISTOGRAM_BUCKET_MS) * HISTOGRAM_BUCKET_MS;
+    const last = buckets[buckets.length - 1];
+    if (last && last.from === from) last.count++;
+    else buckets.push({ from, count: 1 });
+  });
+  return buckets;
+}
+
+function summarize(times) {
+  if (times.length === 0) return { count: 0, avg: null, best: null, median: null, histogram: [] };
+  const sorted = [...times].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    avg: Math.round(sorted.reduce((sum, t) => sum + t, 0) / sorted.length),
+    best: sorted[0],
+    median: median(sorted),
+    histogram: histogram(sorted),
+  };
+}
+
+function groupBy(samples, key) {
+  const groups = {};
+  samples.forEach(sample => {
+    const group = sample[key];
+    if (!group) return;
+    (groups[group] = groups[group] || []).push(sample.ms);
+  });
+  return Object.fromEntries(Object.entries(groups).map(([group, times]) => [group, summarize(times)]));
+}
+
+/**
+ * Reaction time distribution of the punches, per hand / punch type, and of
+ * defensive answers on their own (a dodge is a different reaction)
+ * @param {Array} samples - [{ punch, hand, ms }]
+ * @returns {Object} { count, avg, best, median, histogram: [{ from, count }], defense, byHand, byPunch }
+ */
+export function summarizeReactionTimes(samples) {
+  return {
+    ...summarize(samples.filter(s => !isDefense(s.punch)).map(s => s.ms)),
+    defense: summarize(samples.filter(s => isDefense(s.punch)).map(s => s.ms)),
+    byHand: groupBy(samples, 'hand'),
+    byPunch: groupBy(samples, 'punch'),
+  };
+}
+
+// Report lines for a summarizeReactionTimes() result
+export function describeReactionTimes(summary) {
+  if (!summary) return [];
+  const defense = summary.defense || { count: 0 }; // Not kept before defense was split out
+  if (summary.count === 0 && defense.count === 0) return [];
+  const line = (label, { count, avg, best }) => `${label}: avg ${avg}ms, best ${best}ms (${count})`;
+  return [
+    ...(summary.count > 0 ? [line('Reaction', summary)] : []),
+    ...(defense.count > 0 ? [line('Defense', defense)] : []),
+    ...Object.entries(summary.byHand).map(([hand, stats]) => line(`  ${hand} hand`, stats)),
+    ...Object.entries(summary.byPunch).map(([punch, stats]) => line(`  ${punch}`, stats)),
+  ];
+}
+
+export class ReactionTimer {
+  constructor(clock = () => performance.now()) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  reset() {
+    this.shownAt = null;
+    this.samples = [];
+  }
+
+  // A target just appeared
+  mark() {
+    this.shownAt = this.clock();
+  }
+
+  /**
+   * The answer to the marked target landed
+   * @returns {number|null} Reaction time in ms
+   */
+  measure(punch) {
+    if (this.shownAt === null) return null;
+    const ms = Math.round(this.clock() - this.shownAt);
+    this.shownAt = null;
+    this.samples.push({ punch, hand: isDefense(punch) ? null : getPunchSide(punch, getStance()), ms });
+    this.showLive();
+    return ms;
+  }
+
+  // ms since the mark (null without one)
+  elapsed() {
+    return this.shownAt === null ? null : this.clock() - this.shownAt;
+  }
+
+  // Drop a pending mark (target timed out or was withdrawn)
+  cancel() {
+    this.shownAt = null;
+  }
+
+  summarize() {
+    return summarizeReactionTimes(this.samples);
+  }
+
+  // Last / average / best under the session stats (of the last one's kind)
+  showLive() {
+    const element = document.getElementById('reaction-stats');
+    if (!element) return;
+    const last = this.samples[this.samples.length - 1];
+    if (!last) {
+      element.textContent = '';
+      return;
+    }
+    const defense = isDefense(last.punch);
+    const { avg, best } = summarize(this.samples.filter(s => isDefense(s.punch) === defense).map(s => s.ms));
+    element.textContent = `${defense ? '🛡️' : '⚡'} ${last.ms}ms · avg ${avg}ms · best ${best}ms`;
+  }
+}
@@ -0,0 +1,147 @@
+// src/js/recording.js - Landmark session recording & deterministic replay
+//
+// Recording format (NDJSON, one JSON object per line):
+//   line 1:  header  { format, version, width, height, recordedAt, ...meta }
+//   line 2+: frames  { t, landmarks: [{ x, y, z, visibility }, ...] }
+// `t` is milliseconds since the recording started. A single JSON document
+// of the shape { ...header, frames: [...] } is accepted as well.
+import { PunchDetector } from './punch.js';
+
+export const RECORDING_FORMAT = 'train-like-aj/landmarks';
+export const RECORDING_VERSION = 1;
+
+// 4 decimals is well below MediaPipe's own jitter and keeps clips small
+const round = (value) => (typeof value === 'number' ? Math.round(value * 10000) / 10000 : value);
+
+export class SessionRecorder {
+  constructor(clock = () => performance.now()) {
+    this.clock = clock;
+    this.isRecording = false;
+    this.header = null;
+    this.frames = [];
+    this.startTime = 0;
+  }
+
+  start(meta = {}) {
+    this.isRecording = true;
+    this.frames = [];
+    this.startTime = this.clock();
+    this.header = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      width: 0,
+      height: 0,
+      recordedAt: new Date().toISOString(),
+      ...meta,
+    };
+    console.log('🎬 Recording landmarks...');
+  }
+
+  // Call from onResults with results.poseLandmarks
+  capture(landmarks, width, height) {
+    if (!this.isRecording || !landmarks) return;
+
+    // Detection speeds are in pixels, so the canvas size is part of the clip
+    if (!this.header.width) {
+      this.header.width = width;
+      this.header.height = height;
+    }
+
+    this.frames.push({
+      t: Math.round(this.clock() - this.startTime),
+      landmarks: landmarks.map(lm => ({
+        x: round(lm.x),
+        y: round(lm.y),
+        z: round(lm.z),
+        visibility: round(lm.visibility),
+      })),
+    });
+  }
+
+  stop() {
+    this.isRecording = false;
+    console.log(`🎬 Recording stopped (${this.frames.length} frames)`);
+    return { header: this.header, frames: this.frames };
+  }
+}
+
+export function serializeRecording(recording) {
+  const lines = [JSON.stringify(recording.header)];
+  recording.frames.forEach(frame => lines.push(JSON.stringify(frame)));
+  return lines.join('\n') + '\n';
+}
+
+export function parseRecording(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('Recording is empty');
+
+  let header;
+  let frames;
+
+  // Whole-file JSON document
+  if (trimmed.startsWith('{') && trimmed.includes('"frames"')) {
+    try {
+      const { frames: docFrames, ...docHeader } = JSON.parse(trimmed);
+      header = docHeader;
+      frames = docFrames;
+    } catch (e) {
+      // Not a single document after all - fall through to NDJSON
+    }
+  }
+
+  if (!frames) {
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+    try {
+      header = JSON.parse(lines[0]);
+      frames = lines.slice(1).map(line => JSON.parse(line));
+    } catch (e) {
+      throw new Error(`Recording is not valid JSON/NDJSON: ${e.message}`);
+    }
+  }
+
+  if (header.format !== RECORDING_FORMAT) {
+    throw new Error(`Unknown recording format: ${header.format}`);
+  }
+  if (header.version > RECORDING_VERSION) {
+    throw new Error(`Recording version ${header.version} is newer than supported (${RECORDING_VERSION})`);
+  }
+  if (!header.width || !header.height) {
+    throw new Error('Recording header is missing width/height');
+  }
+  if (!Array.isArray(frames) || frames.some(f => typeof f.t !== 'number' || !Array.isArray(f.landmarks))) {
+    throw new Error('Recording frames must each have a numeric t and a landmarks array');
+  }
+
+  return { header, frames };
+}
+
+/**
+ * Feed a recording through a fresh detector whose clock is the frame timestamp.
+ * Same recording + same thresholds = same punch sequence, every time.
+ * @param {Object} recording - Output of parseRecording()
+ * @param {Object} options - { thresholds, cooldownMs, stance, onFrame(frame, result) }
+ * @returns {Array} Detected punches: [{ t, punch, confidence, extras }]
+ */
+export function replayRecording(recording, options = {}) {
+  const { header, frames } = recording;
+  let now = 0;
+
+  const detector = new PunchDetector({
+    clock: () => now,
+    thresholds: options.thresholds,
+    cooldownMs: options.cooldownMs,
+    stance: options.stance || header.stance || 'orthodox',
+  });
+
+  const punches = [];
+  frames.forEach(frame => {
+    now = frame.t;
+    const result = detector.detect(frame.landmarks, header.width, header.height);
+    if (options.onFrame) options.onFrame(frame, result);
+    if (result.punch) {
+      punches.push({ t: frame.t, punch: result.punch, confidence: result.confidence, extras: result.extras });
+    }
+  });
+
+  return punches;
+}
@@ -0,0 +1,253 @@
+// src/js/reflex.js - Reflex drill: random foreperiods and go/no-go targets
+//
+// After a random wait (the foreperiod) a mitt lights up. A gold mitt is "go":
+// hit it with the named punch as fast as possible. A red mitt is "no-go": keep
+// your hands home until it disappears. Punching during the wait is a false start.
+import { playSound, speakCoach, createRandom } from '/src/js/utils.js';
+import { getPunchSide } from '/src/js/punch.js';
+import { getStance } from '/src/js/stance.js';
+import { showStanceWarning } from '/src/js/game.js';
+import { isDefenseMove, BLOCK } from '/src/js/defense.js';
+import { ReactionTimer } from '/src/js/reaction.js';
+
+const FOREPERIOD_MIN_MS = 1000;
+const FOREPERIOD_MAX_MS = 3000;
+const RESPONSE_WINDOW_MS = 1200; // Go: time to land it. No-go: time to hold still
+const NO_GO_CHANCE = 0.25;
+const ANTICIPATION_MS = 120;     // Faster than this is a guess, not a reaction
+const ECHO_GRACE_MS = 300;       // The arm coming back from the last punch isn't a false start
+
+const GO_POINTS = 100;
+const FAST_BONUS_FROM_MS = 600;  // Every 4ms under this adds a point
+const HOLD_POINTS = 50;
+const FALSE_ALARM_PENALTY = 50;
+
+export class ReflexDrill {
+  constructor(uiElements, onScore, options = {}) {
+    this.jabTarget = uiElements.jabTarget;
+    this.crossTarget = uiElements.crossTarget;
+    this.feedbackElement = document.getElementById('feedback');
+    this.onScore = onScore;
+    this.requireGoodStance = options.requireGoodStance || false;
+    this.punchTypes = options.punchTypes || ['Jab', 'Cross'];
+    this.noGoChance = options.noGoChance ?? NO_GO_CHANCE;
+    this.responseWindow = options.responseWindow || RESPONSE_WINDOW_MS;
+
+    this.isRunning = false;
+    this.phase = null; // 'wait' (foreperiod) | 'go' | 'nogo'
+    this.activePunch = null;
+    this.activeTarget = null;
+    this.trialTimeout = null;
+    this.trial = null; // { foreperiod, punchType, noGo } - drawn once, re-run after a false start
+    this.waitStartedAt = 0;
+    this.reactions = new ReactionTimer();
+    this.seed = options.seed || null; // Challenge run: same waits, targets and no-gos every start
+    this.random = Math.random;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.totalHits = 0;
+    this.totalMisses = 0;       // Go target not hit in time (or the wrong punch)
+    this.falseAlarms = 0;       // Punched a no-go target
+    this.correctHolds = 0;      // Let a no-go target pass
+    this.falseStarts = 0;       // Punched before anything appeared
+    this.comboCount = 0;        // Correct responses in a row
+    this.reactions.reset();
+    this.reactions.showLive();
+  }
+
+  start() {
+    console.log("⚡ Reflex Drill Started");
+    this.isRunning = true;
+    this.resetStats();
+    this.random = this.seed ? createRandom(this.seed) : Math.random;
+    this.trial = null;
+    playSound('start');
+    speakCoach("Reflexes. Hit gold, leave red alone.");
+    this.nextTrial();
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.phase = null;
+    clearTimeout(this.trialTimeout);
+    this.hideTargets();
+  }
+
+  pause() {
+    this.stop();
+    this.reactions.cancel();
+  }
+
+  // The trial cut off by the bell runs again, so a seed's sequence doesn't skip one
+  resume() {
+    this.isRunning = true;
+    this.runTrial();
+  }
+
+  bindRounds(rounds) {
+    rounds.on('roundStart', ({ round }) => (round === 1 ? this.start() : this.resume()));
+    rounds.on('roundEnd', () => this.pause());
+    rounds.on('workoutEnd', () => this.stop());
+  }
+
+  getStats() {
+    return {
+      hits: this.totalHits,
+      misses: this.totalMisses + this.falseAlarms,
+      falseAlarms: this.falseAlarms,
+      correctHolds: this.correctHolds,
+      falseStarts: this.falseStarts,
+    };
+  }
+
+  // Settings that change which trials a seed produces (challenge boards)
+  getSetup() {
+    return this.punchTypes.join('/') === 'Jab/Cross' && this.noGoChance === NO_GO_CHANCE
+      ? []
+      : [`${this.punchTypes.join('/')}, ${Math.round(this.noGoChance * 100)}% no-go`];
+  }
+
+  // Draw the whole trial up front: the random sequence then only depends on
+  // how many trials were answered, not on false starts
+  nextTrial() {
+    if (!this.isRunning) return;
+    this.trial = {
+      foreperiod: FOREPERIOD_MIN_MS + this.random() * (FOREPERIOD_MAX_MS - FOREPERIOD_MIN_MS),
+      punchType: this.punchTypes[Math.floor(this.random() * this.punchTypes.length)],
+      noGo: this.random() < this.noGoChance,
+    };
+    this.runTrial();
+  }
+
+  // Wait, then show the current trial's target
+  runTrial() {
+    if (!this.isRunning) return;
+    if (!this.trial) {
+      this.nextTrial();
+      return;
+    }
+    this.hideTargets();
+    this.phase = 'wait';
+    this.waitStartedAt = performance.now();
+
+    clearTimeout(this.trialTimeout);
+    this.trialTimeout = setTimeout(() => this.showTarget(), this.trial.foreperiod);
+  }
+
+  showTarget() {
+    if (!this.isRunning) return;
+
+    const { punchType, noGo } = this.trial;
+    const target = getPunchSide(punchType, getStance()) === 'left' ? this.jabTarget : this.crossTarget;
+
+    this.phase = noGo ? 'nogo' : 'go';
+    this.activePunch = punchType;
+    this.activeTarget = target;
+    target.textContent = noGo ? '✋' : punchType.toUpperCase();
+    target.classList.toggle('no-go', noGo);
+    target.classList.add('visible');
+    playSound('target');
+    this.reactions.mark();
+
+    this.trialTimeout = setTimeout(() => (noGo ? this.handleHold() : this.handleMiss('Too slow!')), this.responseWindow);
+  }
+
+  checkPunch(detectedPunch, punchData = {}) {
+    if (!this.isRunning || !this.phase) return;
+    // Head movement and the guard aren't answers either way
+    if (isDefenseMove(detectedPunch) || detectedPunch === BLOCK) return;
+
+    if (this.phase === 'wait') {
+      if (performance.now() - this.waitStartedAt > ECHO_GRACE_MS) this.handleFalseStart();
+      return;
+    }
+    if (this.phase === 'nogo') {
+      this.handleFalseAlarm();
+      return;
+    }
+
+    if (detectedPunch !== this.activePunch) {
+      this.handleMiss(`Wrong punch - that was a ${detectedPunch}`);
+      return;
+    }
+    if (this.requireGoodStance && punchData.stance && !punchData.stance.isGood) {
+      showStanceWarning(punchData.stance);
+      return;
+    }
+    this.handleHit();
+  }
+
+  handleHit() {
+    clearTimeout(this.trialTimeout);
+    // Too fast to be a reaction: don't reward the guess
+    if (this.reactions.elapsed() < ANTICIPATION_MS) {
+      this.reactions.cancel();
+      this.handleFalseStart();
+      return;
+    }
+    const ms = this.reactions.measure(this.activePunch);
+
+    this.totalHits++;
+    this.comboCount++;
+    this.onScore(GO_POINTS + Math.max(0, Math.round((FAST_BONUS_FROM_MS - ms) / 4)));
+    playSound('hit');
+    this.feedbackElement.textContent = `⚡ ${ms}ms`;
+    this.updateSessionStat('session-hits', this.totalHits);
+    this.nextTrial();
+  }
+
+  handleMiss(reason) {
+    clearTimeout(this.trialTimeout);
+    this.reactions.cancel();
+    this.totalMisses++;
+    this.comboCount = 0;
+    playSound('miss');
+    this.feedbackElement.textContent = reason;
+    this.updateSessionStat('session-misses', this.totalMisses + this.falseAlarms);
+    this.nextTrial();
+  }
+
+  handleHold() {
+    this.reactions.cancel();
+    this.correctHolds++;
+    this.comboCount++;
+    this.onScore(HOLD_POINTS);
+    this.feedbackElement.textContent = '✋ Good hold!';
+    this.nextTrial();
+  }
+
+  handleFalseAlarm() {
+    clearTimeout(this.trialTimeout);
+    this.reactions.cancel();
+    this.falseAlarms++;
+    this.comboCount = 0;
+    this.onScore(-FALSE_ALARM_PENALTY);
+    playSound('miss');
+    this.feedbackElement.textContent = '🛑 Red means hold!';
+    this.updateSessionStat('session-misses', this.totalMisses + this.falseAlarms);
+    this.nextTrial();
+  }
+
+  // Punching before the target: restart the wait so guessing never pays
+  handleFalseStart() {
+    this.falseStarts++;
+    this.comboCount = 0;
+    this.feedbackElement.textContent = '⏳ Too early! Wait for it...';
+    this.runTrial();
+  }
+
+  updateSessionStat(id, value) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = value;
+  }
+
+  hideTargets() {
+    this.activePunch = null;
+    this.activeTarget = null;
+    [this.jabTarget, this.crossTarget].forEach(target => {
+      target.classList.remove('visible', 'no-go');
+    });
+  }
+}
@@ -0,0 +1,168 @@
+// src/js/report.js - Post-session report: tier, strengths, grades and per-punch breakdown
+import { analyzeSessionPerformance } from '/src/js/scoring.js';
+import { downloadFile, downloadAsJSON, escapeHTML, formatTime } from '/src/js/utils.js';
+import { describeReactionTimes } from '/src/js/reaction.js';
+
+// Best to worst, as calculateScore() grades them
+const GRADE_ORDER = ['S', 'A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D', 'F'];
+
+/**
+ * analyzeSessionPerformance() input from a session record (or summed records).
+ * Drills count hits against targets; free training has none, so every punch counts.
+ */
+export function getPerformanceStats(record) {
+  const attempts = (record.hits || 0) + (record.misses || 0);
+  const punches = record.totalPunches || 0;
+  // perfectPunches counts every S-grade punch, on target or not: keep the
+  // perfect rate a share of all punches however many targets there were
+  const perfectShare = punches > 0 ? (record.perfectPunches || 0) / punches : 0;
+  return {
+    totalPunches: attempts > 0 ? attempts : record.totalPunches || 0,
+    hits: attempts > 0 ? record.hits : record.totalPunches || 0,
+    misses: record.misses || 0,
+    perfectPunches: attempts > 0 ? perfectShare * attempts : record.perfectPunches || 0,
+    totalScore: record.score || 0,
+    averageSpeed: record.averageSpeed ?? 0,
+    averageForm: record.averageForm ?? 0,
+    maxCombo: record.maxCombo || 0,
+  };
+}
+
+/**
+ * @param {Object} record - Session record (see session.js)
+ * @param {Array} details - Extra lines, e.g. per-round results
+ */
+export function buildSessionReport(record, details = []) {
+  const analysis = analyzeSessionPerformance(getPerformanceStats(record));
+  const scored = record.averageSpeed !== null && record.averageSpeed !== undefined;
+
+  return {
+    session: record,
+    performance: analysis.performance,
+    accuracy: Number(analysis.accuracy),
+    perfectRate: Number(analysis.perfectRate),
+    recommendation: analysis.recommendation,
+    // Speed/form based, meaningless without a scored punch
+    strengths: scored ? analysis.strengths : [],
+    weaknesses: scored ? analysis.weaknesses : [],
+    grades: GRADE_ORDER
+      .filter(grade => record.grades && record.grades[grade])
+      .map(grade => ({ grade, count: record.grades[grade] })),
+    punches: Object.entries(record.punches || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([punch, count]) => {
+        const stats = (record.punchStats || {})[punch];
+        return { punch, count, avgSpeed: stats ? stats.avgSpeed : null, avgForm: stats ? stats.avgForm : null };
+      }),
+    reaction: record.reaction || null,
+    details: [...describeReactionTimes(record.reaction), ...details],
+  };
+}
+
+export function formatReportText(report) {
+  const { session } = report;
+  const lines = [
+    `Train Like AJ - ${session.mode} session`,
+    `${new Date(session.startedAt).toLocaleString()} · ${formatTime(session.duration)}`,
+    '',
+    `Performance: ${report.performance}`,
+    `Score: ${session.score} · Accuracy: ${report.accuracy}% · Perfect: ${report.perfectRate}% · Max combo: ${session.maxCombo}`,
+    report.recommendation,
+  ];
+  if (report.strengths.length > 0) lines.push('', 'Strengths:', ...report.strengths.map(s => `  + ${s}`));
+  if (report.weaknesses.length > 0) lines.push('', 'Work on:', ...report.weaknesses.map(w => `  - ${w}`));
+  if (report.grades.length > 0) lines.push('', `Grades: ${report.grades.map(g => `${g.grade} x${g.count}`).join(', ')}`);
+  if (report.punches.length > 0) {
+    lines.push('', 'Punches:');
+    report.punches.forEach(p => {
+      const scores = p.avgSpeed !== null ? ` (speed ${p.avgSpeed}, form ${p.avgForm})` : '';
+      lines.push(`  ${p.punch}: ${p.count}${scores}`);
+    });
+  }
+  if (report.details.length > 0) lines.push('', ...report.details);
+  return lines.join('\n');
+}
+
+export class SessionReportView {
+  constructor() {
+    this.panel = document.getElementById('session-report');
+    this.body = document.getElementById('report-body');
+    this.report = null;
+    this.onRetry = null;
+
+    document.getElementById('report-close').addEventListener('click', () => this.hide());
+    document.getElementById('report-retry').addEventListener('click', () => {
+      const retry = this.onRetry;
+      this.hide();
+      if (retry) retry();
+    });
+    document.getElementById('report-save').addEventListener('click', () => {
+      downloadFile(formatReportText(this.report), `${this.filename()}.txt`);
+    });
+    document.getElementById('report-export').addEventListener('click', () => {
+      downloadAsJSON(this.report, `${this.filename()}.json`);
+    });
+  }
+
+  filename() {
+    return `session-report-${this.report.session.mode}-${this.report.session.startedAt.replace(/[:.]/g, '-')}`;
+  }
+
+  /**
+   * @param {Object} report - buildSessionReport() result
+   * @param {Function} onRetry - Restarts the same mode
+   */
+  show(report, onRetry = null) {
+    this.report = report;
+    this.onRetry = onRetry;
+    this.render();
+    this.panel.classList.remove('hidden');
+  }
+
+  hide() {
+    this.panel.classList.add('hidden');
+    this.onRetry = null;
+  }
+
+  render() {
+    const { session } = this.report;
+    const list = (items, className) => items.map(item => `<li class="${className}">${escapeHTML(item)}</li>`).join('');
+    const maxGrade = Math.max(1, ...this.report.grades.map(g => g.count));
+
+    this.body.innerHTML = `
+      <div class="text-center">
+        <p class="text-xs uppercase text-gray-400">${escapeHTML(session.mode)} · ${formatTime(session.duration)}</p>
+        <p class="text-3xl font-bold text-yellow-500">${escapeHTML(this.report.performance)}</p>
+        <p class="text-sm text-gray-300">${escapeHTML(this.report.recommendation)}</p>
+      </div>
+      <div class="grid grid-cols-4 gap-2 text-center text-sm">
+        <div><p class="text-lg font-bold">${session.score}</p><p class="text-xs text-gray-400">Score</p></div>
+        <div><p class="text-lg font-bold">${this.report.accuracy}%</p><p class="text-xs text-gray-400">Accuracy</p></div>
+        <div><p class="text-lg font-bold">${this.report.perfectRate}%</p><p class="text-xs text-gray-400">Perfect</p></div>
+        <div><p class="text-lg font-bold">${session.maxCombo}</p><p class="text-xs text-gray-400">Max Combo</p></div>
+      </div>
+      <div class="grid grid-cols-2 gap-4 text-sm">
+        <ul>${list(this.report.strengths, 'text-green-400')}</ul>
+        <ul>${list(this.report.weaknesses, 'text-red-400')}</ul>
+      </div>
+      <div class="space-y-1">
+        ${this.report.grades.map(({ grade, count }) => `
+          <div class="flex items-center gap-2 text-xs">
+            <span class="w-6 font-bold">${grade}</span>
+            <div class="flex-1 bg-gray-800 rounded h-2"><div class="bg-yellow-500 h-2 rounded" style="width: ${(count / maxGrade) * 100}%"></div></div>
+            <span class="w-6 text-right text-gray-400">${count}</span>
+          </div>`).join('')}
+      </div>
+      <table class="w-full text-xs">
+        <thead class="text-gray-400"><tr><th class="text-left">Punch</th><th>Count</th><th>Speed</th><th>Form</th></tr></thead>
+        <tbody>
+          ${this.report.punches.map(p => `
+            <tr class="text-center">
+              <td class="text-left">${escapeHTML(p.punch)}</td><td>${p.count}</td><td>${p.avgSpeed ?? '-'}</td><td>${p.avgForm ?? '-'}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+      <ul class="text-xs text-gray-400">${list(this.report.details, '')}</ul>
+    `;
+  }
+}
@@ -0,0 +1,156 @@
+// src/js/rounds.js - Round-based workout engine (rounds, rest, bell)
+//
+// Events (subscribe with on(event, listener)):
+//   roundStart  { round, totalRounds, duration }
+//   tick        { phase: 'round' | 'rest', round, remaining }   once per second
+//   warning     { round, remaining }                            10s left in a round
+//   roundEnd    { round, totalRounds, summary }
+//   restStart   { round, nextRound, duration }
+//   workoutEnd  { completed, rounds: [summary, ...] }
+//
+// A round summary is the change in every numeric stat from the stats source
+// (see setStatsSource) over that round, plus its round number and duration.
+import { playBell, playTone, EventEmitter } from '/src/js/utils.js';
+
+export const DEFAULT_WORKOUT = {
+  rounds: 3,
+  roundSeconds: 180,
+  restSeconds: 60,
+  warningSeconds: 10,
+};
+
+const TICK_MS = 250; // Poll often so a slow frame can't swallow a whole second
+
+export class RoundEngine extends EventEmitter {
+  constructor(config = {}, { clock = () => performance.now(), sounds = true } = {}) {
+    super();
+    const merged = { ...DEFAULT_WORKOUT, ...config };
+    this.config = {
+      rounds: Math.max(1, Math.round(merged.rounds)),
+      roundSeconds: Math.max(1, Math.round(merged.roundSeconds)),
+      restSeconds: Math.max(0, Math.round(merged.restSeconds)),
+      warningSeconds: Math.max(0, Math.round(merged.warningSeconds)),
+    };
+    this.clock = clock;
+    this.sounds = sounds;
+    this.statsSource = null;
+
+    this.isRunning = false;
+    this.phase = null; // 'round' | 'rest'
+    this.round = 0;
+    this.phaseEnd = 0;
+    this.lastRemaining = null;
+    this.warned = false;
+    this.interval = null;
+    this.roundStartStats = null;
+    this.summaries = [];
+  }
+
+  // fn() -> { hits, misses, score, ... } - numeric fields are summarized per round
+  setStatsSource(fn) {
+    this.statsSource = fn;
+  }
+
+  start() {
+    this.stop(false);
+    this.isRunning = true;
+    this.round = 0;
+    this.summaries = [];
+    this.interval = setInterval(() => this.tick(), TICK_MS);
+    this.startRound();
+  }
+
+  /**
+   * End the workout early (or quietly, when restarting)
+   */
+  stop(emit = true) {
+    if (!this.isRunning) return;
+    clearInterval(this.interval);
+    this.interval = null;
+
+    // A round cut short still gets its summary
+    if (this.phase === 'round') this.summaries.push(this.summarizeRound());
+    this.isRunning = false;
+    this.phase = null;
+    if (emit) this.emit('workoutEnd', { completed: false, rounds: this.summaries });
+  }
+
+  startRound() {
+    this.round++;
+    this.beginPhase('round', this.config.roundSeconds);
+    if (this.sounds) playBell();
+    this.emit('roundStart', { round: this.round, totalRounds: this.config.rounds, duration: this.config.roundSeconds });
+    // After the listeners: a drill starting on round 1 resets its counters
+    this.roundStartStats = this.readStats();
+    this.tick();
+  }
+
+  endRound() {
+    const summary = this.summarizeRound();
+    this.summaries.push(summary);
+    if (this.sounds) playBell();
+    this.emit('roundEnd', { round: this.round, totalRounds: this.config.rounds, summary });
+
+    if (this.round >= this.config.rounds) {
+      clearInterval(this.interval);
+      this.interval = null;
+      this.isRunning = false;
+      this.phase = null;
+      this.emit('workoutEnd', { completed: true, rounds: this.summaries });
+      return;
+    }
+
+    if (this.config.restSeconds > 0) {
+      this.beginPhase('rest', this.config.restSeconds);
+      this.emit('restStart', { round: this.round, nextRound: this.round + 1, duration: this.config.restSeconds });
+      this.tick();
+    } else {
+      this.startRound();
+    }
+  }
+
+  beginPhase(phase, seconds) {
+    this.phase = phase;
+    this.phaseEnd = this.clock() + seconds * 1000;
+    this.lastRemaining = null;
+    this.warned = false;
+  }
+
+  tick() {
+    if (!this.isRunning || !this.phase) return;
+
+    const remaining = Math.max(0, Math.ceil((this.phaseEnd - this.clock()) / 1000));
+    if (remaining !== this.lastRemaining) {
+      this.lastRemaining = remaining;
+      this.emit('tick', { phase: this.phase, round: this.round, remaining });
+
+      const { warningSeconds } = this.config;
+      if (this.phase === 'round' && !this.warned && remaining <= warningSeconds && remaining > 0 && this.config.roundSeconds > warningSeconds) {
+        this.warned = true;
+        if (this.sounds) playTone({ frequency: 880, duration: 0.12, repeat: 3 });
+        this.emit('warning', { round: this.round, remaining });
+      }
+    }
+
+    if (remaining > 0) return;
+    if (this.phase === 'round') this.endRound();
+    else this.startRound();
+  }
+
+  readStats() {
+    return this.statsSource ? { ...this.statsSource() } : {};
+  }
+
+  summarizeRound() {
+    const before = this.roundStartStats || {};
+    const after = this.readStats();
+    const summary = {
+      round: this.round,
+      duration: Math.round(this.config.roundSeconds - Math.max(0, (this.phaseEnd - this.clock()) / 1000)),
+    };
+    Object.entries(after).forEach(([key, value]) => {
+      if (typeof value === 'number') summary[key] = value - (before[key] || 0);
+    });
+    return summary;
+  }
+}
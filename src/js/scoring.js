@@ -42,15 +42,46 @@ const SCORING_CONFIG = {
     speedWeight: 0.5,
     formWeight: 0.5,
   },
+  body: {
+    idealAngle: 125,
+    idealSpeed: 150,
+    maxSpeed: 2400,
+    angleTolerance: 30,
+    speedWeight: 0.55,
+    formWeight: 0.45,
+  },
 };
 
+// Per-user ideal speeds from calibration, keyed like SCORING_CONFIG
+let idealSpeedOverrides = {};
+
+/**
+ * Replace the ideal speeds used for scoring (pass {} to go back to defaults)
+ * @param {Object} speeds - e.g. { jab: 420, cross: 510 }
+ */
+export function setIdealSpeeds(speeds = {}) {
+  idealSpeedOverrides = { ...speeds };
+}
+
+/**
+ * Map a detected punch name (e.g. 'Left Body') to its SCORING_CONFIG key
+ */
+export function getScoringKey(punchName) {
+  if (punchName.includes('Body')) return 'body';
+  return punchName.toLowerCase().split(' ')[0];
+}
+
+// Share of the total given to defense (hands back, guard kept) when it is known
+const DEFENSE_WEIGHT = 0.2;
+
 /**
  * Calculate comprehensive score for a punch
- * @param {Object} punchData - Contains punchType, speed, angle
+ * @param {Object} punchData - Contains punchType, speed, angle and optional defense
+ *   ({ guardDropped, returned, returnTime } from GuardTracker)
  * @returns {Object} Scores and feedback
  */
 export function calculateScore(punchData) {
-  const { punchType, speed, angle } = punchData;
+  const { punchType, speed, angle, defense } = punchData;
 
   if (!punchType || punchType === 'none') {
     return { 
@@ -63,7 +94,8 @@ export function calculateScore(punchData) {
   }
 
   // Get config for punch type (default to jab if not found)
-  const config = SCORING_CONFIG[punchType] || SCORING_CONFIG.jab;
+  const baseConfig = SCORING_CONFIG[punchType] || SCORING_CONFIG.jab;
+  const config = { ...baseConfig, idealSpeed: idealSpeedOverrides[punchType] || baseConfig.idealSpeed };
 
   // Calculate speed score (0-100%)
   const normalizedSpeed = Math.min(speed / config.maxSpeed, 1);
@@ -98,10 +130,16 @@ export function calculateScore(punchData) {
   formScore = Math.max(0, Math.min(100, formScore));
 
   // Calculate weighted total score
-  const totalScore = (speedScore * config.speedWeight) + (formScore * config.formWeight);
+  let totalScore = (speedScore * config.speedWeight) + (formScore * config.formWeight);
+
+  // Defense component (only when the caller tracked the guard)
+  const defenseScore = defense ? calculateDefenseScore(defense) : null;
+  if (defenseScore !== null) {
+    totalScore = totalScore * (1 - DEFENSE_WEIGHT) + defenseScore * DEFENSE_WEIGHT;
+  }
 
   // Generate feedback based on performance
-  const feedback = generateFeedback(speedScore, formScore, punchType, idealSpeedRatio, angleDeviation);
+  const feedback = generateFeedback(speedScore, formScore, punchType, idealSpeedRatio, angleDeviation, defense);
   
   // Assign letter grade
   const grade = getGrade(totalScore);
@@ -116,6 +154,7 @@ export function calculateScore(punchData) {
   return { 
     speedScore: Math.round(speedScore), 
     formScore: Math.round(formScore),
+    defenseScore,
     totalScore: Math.round(totalScore),
     feedback,
     grade,
@@ -133,12 +172,82 @@ export function calculateScore(punchData) {
   };
 }
 
+/**
+ * Score how well the guard was kept around a punch (0-100)
+ * @param {Object} defense - { guardDropped, returned, returnTime } - returned/returnTime
+ *   are left out while the punch is still on its way back
+ */
+export function calculateDefenseScore(defense) {
+  const { guardDropped, returned, returnTime } = defense;
+  let score = 100;
+
+  // Non-punching hand dropped below the shoulder
+  if (guardDropped) score -= 40;
+
+  // Hands back: free up to 400ms, then lose up to 50 points by 1s
+  if (returned === false) {
+    score -= 60;
+  } else if (typeof returnTime === 'number' && returnTime > 400) {
+    score -= Math.min((returnTime - 400) / 600, 1) * 50;
+  }
+
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+// Combo rhythm: gap between one landed punch and the next
+const RHYTHM_CONFIG = {
+  targetInterval: 450,  // ms - a crisp, flowing combo
+  defenseFactor: 1.6,   // Head movement takes longer than a punch
+  stallFactor: 1.75,    // Gap this many times the target = the combo stalled
+};
+
+/**
+ * Grade the flow of a combo against a target tempo
+ * @param {Array} stepTimes - Timestamp (ms) each step landed
+ * @param {Array} labels - What to call each step in feedback ("1", "2", "slip right")
+ * @param {Object} options - { targetInterval, isDefense(stepIndex) }
+ * @returns {Object} { flowScore, duration, intervals, stalls: [{ from, to, interval }] }
+ */
+export function calculateRhythmScore(stepTimes, labels, options = {}) {
+  const targetInterval = options.targetInterval || RHYTHM_CONFIG.targetInterval;
+  const isDefense = options.isDefense || (() => false);
+
+  const intervals = [];
+  const stalls = [];
+  let total = 0;
+
+  for (let i = 1; i < stepTimes.length; i++) {
+    const interval = Math.round(stepTimes[i] - stepTimes[i - 1]);
+    const target = (isDefense(i) || isDefense(i - 1)) ? targetInterval * RHYTHM_CONFIG.defenseFactor : targetInterval;
+    intervals.push(interval);
+
+    // On tempo or faster = full marks; lose it all by double the target
+    total += Math.max(0, 100 - (Math.max(0, interval - target) / target) * 100);
+
+    if (interval > target * RHYTHM_CONFIG.stallFactor) {
+      stalls.push({ from: labels[i - 1], to: labels[i], interval });
+    }
+  }
+
+  return {
+    flowScore: intervals.length > 0 ? Math.round(total / intervals.length) : 100,
+    duration: stepTimes.length > 1 ? Math.round(stepTimes[stepTimes.length - 1] - stepTimes[0]) : 0,
+    intervals,
+    stalls,
+  };
+}
+
 /**
  * Generate contextual feedback based on performance
  */
-function generateFeedback(speedScore, formScore, punchType, speedRatio, angleDeviation) {
+function generateFeedback(speedScore, formScore, punchType, speedRatio, angleDeviation, defense) {
   const avgScore = (speedScore + formScore) / 2;
 
+  // A good shot with the guard down is still a lesson
+  if (avgScore >= 70 && defense && defense.guardDropped) {
+    return "🛡️ Nice shot - but keep your other hand up!";
+  }
+
   // Perfect punches
   if (avgScore >= 95) {
     const perfectMessages = [
@@ -185,6 +294,10 @@ function generateFeedback(speedScore, formScore, punchType, speedRatio, angleDev
     }
   }
 
+  if (defense && defense.guardDropped) {
+    issues.push("keep your other hand up");
+  }
+
   if (issues.length > 0) {
     return `💡 ${issues.join(' and ')}`;
   }
@@ -322,23 +435,31 @@ function identifyWeaknesses(avgSpeed, avgForm) {
   return weaknesses;
 }
 
+// Share of targets (%) an adaptive drill tries to keep the user landing
+export const TARGET_SUCCESS_BAND = { min: 70, max: 85 };
+
 /**
  * Get difficulty adjustment recommendation
+ * @param {Object} stats - { accuracy, perfectRate, maxCombo } (percentages, 0-100)
+ * @param {Object} band - Accuracy range to hold the user in
+ * @returns {Object} { adjustment, message, suggestedSpeed } - suggestedSpeed scales the pace (>1 is faster)
  */
-export function getDifficultyRecommendation(stats) {
+export function getDifficultyRecommendation(stats, band = TARGET_SUCCESS_BAND) {
   const { accuracy, perfectRate, maxCombo } = stats;
   
-  if (accuracy >= 85 && perfectRate >= 40 && maxCombo >= 20) {
+  if (accuracy > band.max) {
+    // Landing everything cleanly: take a bigger step
+    const dominant = perfectRate >= 40 || maxCombo >= 10;
     return { 
       adjustment: 'increase',
       message: 'Ready for harder challenges!',
-      suggestedSpeed: 1.2 
+      suggestedSpeed: dominant ? 1.2 : 1.1 
     };
-  } else if (accuracy < 50 || perfectRate < 10) {
+  } else if (accuracy < band.min) {
     return { 
       adjustment: 'decrease',
       message: 'Try a slower pace to build fundamentals',
-      suggestedSpeed: 0.8 
+      suggestedSpeed: accuracy < 50 ? 0.8 : 0.9 
     };
   }
   
@@ -347,4 +468,4 @@ export function getDifficultyRecommendation(stats) {
     message: 'Current difficulty is perfect!',
     suggestedSpeed: 1.0 
   };
-}
\ No newline at end of file
+}
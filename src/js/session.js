@@ -0,0 +1,131 @@
+// src/js/session.js - Collects one training session for the history store
+//
+// Session record (schemaVersion 2):
+//   { mode, startedAt, endedAt, duration (s), score, totalPunches,
+//     punches: { 'Jab': n, ... }, grades: { 'A+': n, ... },
+//     punchStats: { 'Jab': { count, avgSpeed, avgForm }, ... },
+//     averageSpeed, averageForm, maxCombo, level, hits, misses, perfectPunches,
+//     reaction (drills that time targets: see summarizeReactionTimes),
+//     seed, setup (challenge runs: see createRandom; setup = the drill settings
+//     that decide the sequence, e.g. "defense · return fire") }
+// Averages are calculateScore() speedScore / formScore (0-100).
+export const SESSION_SCHEMA_VERSION = 2;
+
+// SESSION_MIGRATIONS[n] upgrades a version-n record to n + 1
+const SESSION_MIGRATIONS = [
+  null,
+  // 1 -> 2: per-punch speed/form weren't kept yet
+  (record) => ({ ...record, punchStats: {}, averageSpeed: null, averageForm: null, level: null }),
+];
+
+// Bring a stored session up to the current schema (records are never rewritten)
+export function migrateSession(record) {
+  let migrated = record;
+  for (let version = record.schemaVersion || 1; version < SESSION_SCHEMA_VERSION; version++) {
+    migrated = SESSION_MIGRATIONS[version](migrated);
+  }
+  return { ...migrated, schemaVersion: SESSION_SCHEMA_VERSION };
+}
+
+const MIN_SESSION_SECONDS = 10; // Shorter than this with no punches isn't worth keeping
+
+export class TrainingSession {
+  constructor(mode, clock = () => Date.now()) {
+    this.mode = mode;
+    this.clock = clock;
+    this.startedAt = new Date(clock());
+    this.punches = {};
+    this.grades = {};
+    this.totalPunches = 0;
+    this.perfectPunches = 0;
+    this.maxCombo = 0;
+    this.level = null;
+    this.seed = null;
+    this.setup = []; // Drill settings a seeded run depends on (see noteSetup)
+    this.scoreTotals = {}; // punchType -> { count, speed, form } sums
+  }
+
+  /**
+   * Every detected punch
+   * @param {string} punchType
+   * @param {Object} scores - calculateScore() result ({ grade, speedScore, formScore })
+   */
+  recordPunch(punchType, scores = {}) {
+    this.punches[punchType] = (this.punches[punchType] || 0) + 1;
+    this.totalPunches++;
+
+    const { grade, speedScore, formScore } = scores;
+    if (grade) {
+      this.grades[grade] = (this.grades[grade] || 0) + 1;
+      if (grade === 'S') this.perfectPunches++;
+    }
+    if (typeof speedScore === 'number' && typeof formScore === 'number') {
+      const totals = this.scoreTotals[punchType] || (this.scoreTotals[punchType] = { count: 0, speed: 0, form: 0 });
+      totals.count++;
+      totals.speed += speedScore;
+      totals.form += formScore;
+    }
+  }
+
+  noteLevel(level) {
+    if (typeof level === 'number') this.level = Math.max(this.level || 0, level);
+  }
+
+  // Seeded challenge run (see createRandom)
+  noteSeed(seed) {
+    this.seed = seed || null;
+  }
+
+  // Drill settings that decide the seeded sequence (drill.getSetup()); a
+  // program notes each of its drills
+  noteSetup(tags) {
+    tags.forEach(tag => { if (!this.setup.includes(tag)) this.setup.push(tag); });
+  }
+
+  noteCombo(count) {
+    this.maxCombo = Math.max(this.maxCombo, count || 0);
+  }
+
+  isWorthSaving() {
+    return this.totalPunches > 0 || (this.clock() - this.startedAt.getTime()) / 1000 >= MIN_SESSION_SECONDS;
+  }
+
+  /**
+   * @param {Object} results - { score, hits, misses, ...anything mode-specific }
+   */
+  toRecord(results = {}) {
+    const endedAt = new Date(this.clock());
+    const punchStats = {};
+    let scored = 0;
+    let speedSum = 0;
+    let formSum = 0;
+    Object.entries(this.scoreTotals).forEach(([punchType, { count, speed, form }]) => {
+      punchStats[punchType] = { count, avgSpeed: Math.round(speed / count), avgForm: Math.round(form / count) };
+      scored += count;
+      speedSum += speed;
+      formSum += form;
+    });
+
+    return {
+      schemaVersion: SESSION_SCHEMA_VERSION,
+      mode: this.mode,
+      startedAt: this.startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      duration: Math.round((endedAt - this.startedAt) / 1000),
+      score: 0,
+      hits: 0,
+      misses: 0,
+      ...results,
+      totalPunches: this.totalPunches,
+      perfectPunches: this.perfectPunches,
+      punches: { ...this.punches },
+      grades: { ...this.grades },
+      punchStats,
+      averageSpeed: scored > 0 ? Math.round(speedSum / scored) : null,
+      averageForm: scored > 0 ? Math.round(formSum / scored) : null,
+      maxCombo: this.maxCombo,
+      level: this.level,
+      ...(this.seed ? { seed: this.seed, setup: this.setup.join(' · ') } : {}),
+    };
+  }
+}
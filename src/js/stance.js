@@ -0,0 +1,99 @@
+// src/js/stance.js - Orthodox / southpaw handling
+//
+// Punch names stay hand-based ('Left Hook' is always the left hand), but
+// Jab/Cross follow the stance: the jab is thrown with the LEAD hand.
+// Combos and numbering are written orthodox and mirrored for southpaws.
+import { loadJSON, saveJSON } from '/src/js/storage.js';
+
+export const STANCES = ['orthodox', 'southpaw'];
+export const STANCE_PREFERENCES = [...STANCES, 'auto'];
+
+const STORAGE_KEY = 'stance';
+
+// Auto-detect: the lead shoulder/hip is closer to the camera (smaller z)
+const DEPTH_SMOOTHING = 0.05;   // EMA factor per frame (~1s to settle at 30fps)
+const DEPTH_THRESHOLD = 0.04;   // Ignore a square stance, keep the last decision
+
+let preference = 'orthodox';
+let detectedStance = 'orthodox';
+let depthAverage = 0;
+const listeners = new Set();
+
+export function getStance() {
+  return preference === 'auto' ? detectedStance : preference;
+}
+
+export function getStancePreference() {
+  return preference;
+}
+
+export function setStancePreference(value) {
+  if (!STANCE_PREFERENCES.includes(value)) {
+    console.warn(`Unknown stance: ${value}`);
+    return;
+  }
+  const before = getStance();
+  preference = value;
+  saveJSON(STORAGE_KEY, value);
+  if (getStance() !== before) notify();
+}
+
+export function loadStancePreference() {
+  const saved = loadJSON(STORAGE_KEY, 'orthodox');
+  preference = STANCE_PREFERENCES.includes(saved) ? saved : 'orthodox';
+  notify();
+  return preference;
+}
+
+// Listener gets the resolved stance ('orthodox' | 'southpaw')
+export function onStanceChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify() {
+  const stance = getStance();
+  listeners.forEach(listener => listener(stance));
+}
+
+// Feed every frame; only does anything while the preference is 'auto'
+export function updateAutoStance(landmarks) {
+  if (preference !== 'auto' || !landmarks || landmarks.length < 25) return;
+
+  const [leftShoulder, rightShoulder] = [landmarks[11], landmarks[12]];
+  const [leftHip, rightHip] = [landmarks[23], landmarks[24]];
+
+  // Negative = left side closer = orthodox
+  const depth = (leftShoulder.z - rightShoulder.z) + (leftHip.z - rightHip.z);
+  depthAverage += (depth - depthAverage) * DEPTH_SMOOTHING;
+
+  let stance = detectedStance;
+  if (depthAverage < -DEPTH_THRESHOLD) stance = 'orthodox';
+  if (depthAverage > DEPTH_THRESHOLD) stance = 'southpaw';
+
+  if (stance !== detectedStance) {
+    detectedStance = stance;
+    console.log(`🥋 Stance detected: ${stance}`);
+    notify();
+  }
+}
+
+export function getLeadSide(stance = getStance()) {
+  return stance === 'southpaw' ? 'right' : 'left';
+}
+
+export function getRearSide(stance = getStance()) {
+  return stance === 'southpaw' ? 'left' : 'right';
+}
+
+// 'Left Hook' <-> 'Right Hook'; Jab/Cross are already stance-relative
+export function mirrorPunch(punchType) {
+  if (punchType.includes('Left')) return punchType.replace('Left', 'Right');
+  if (punchType.includes('Right')) return punchType.replace('Right', 'Left');
+  return punchType;
+}
+
+// Orthodox-written punch (combos, numbering) -> what this stance actually throws
+export function adaptPunchForStance(punchType, stance = getStance()) {
+  return stance === 'southpaw' ? mirrorPunch(punchType) : punchType;
+}
@@ -0,0 +1,59 @@
+// src/js/storage.js - Small localStorage wrapper for settings that must survive a reload
+//
+// Keys are scoped to the active athlete profile (see profile.js). The first
+// profile keeps the original unscoped keys; pass { shared: true } for the few
+// keys every profile sees.
+
+const PREFIX = 'trainLikeAJ.';
+
+let scope = ''; // '' = first profile, 'p.<id>.' otherwise
+
+export function setStorageScope(profileId = null) {
+  scope = profileId ? `p.${profileId}.` : '';
+}
+
+function storageKey(key, { shared = false } = {}) {
+  return PREFIX + (shared ? '' : scope) + key;
+}
+
+export function loadJSON(key, fallback = null, options) {
+  try {
+    const raw = localStorage.getItem(storageKey(key, options));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    console.warn(`Failed to load ${key}:`, e);
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value, options) {
+  try {
+    localStorage.setItem(storageKey(key, options), JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Failed to save ${key}:`, e);
+    return false;
+  }
+}
+
+export function removeJSON(key, options) {
+  try {
+    localStorage.removeItem(storageKey(key, options));
+  } catch (e) {
+    console.warn(`Failed to remove ${key}:`, e);
+  }
+}
+
+// Drop every key of a (non-first) profile
+export function clearStorageScope(profileId) {
+  const prefix = `${PREFIX}p.${profileId}.`;
+  try {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      if (localStorage.key(i).startsWith(prefix)) keys.push(localStorage.key(i));
+    }
+    keys.forEach(key => localStorage.removeItem(key));
+  } catch (e) {
+    console.warn(`Failed to clear profile ${profileId}:`, e);
+  }
+}
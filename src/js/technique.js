@@ -1,5 +1,6 @@
 // src/js/technique.js - COMPLETE & TEXT MIRROR FIXED
 import { computeAngle, playSound, speakCoach } from '/src/js/utils.js';
+import { getLeadSide, getRearSide } from '/src/js/stance.js';
 
 export class TechniqueTrainer {
   constructor(canvasCtx) {
@@ -8,20 +9,37 @@ export class TechniqueTrainer {
     this.isHoldingPosition = false;
     this.holdStartTime = 0;
     this.requiredHoldTime = 800; // 0.8 seconds hold
+    this.repResetTime = 1500; // Back to guard between reps
     this.feedback = "Select a punch to start";
+    this.reps = 1;
+    this.repsDone = 0;
+    this.resetUntil = 0;
+    this.startTime = 0;
+    this.onComplete = null;
   }
 
-  start(moveName) {
+  /**
+   * @param {string} moveName
+   * @param {Object} options - { reps, onComplete({ move, reps, duration }) }
+   */
+  start(moveName, options = {}) {
     this.currentMove = moveName;
     this.feedback = `Get ready: ${moveName}`;
     this.isHoldingPosition = false;
-    speakCoach(`Let's perfect your ${moveName}. Assume the position and hold it.`);
+    this.reps = options.reps || 1;
+    this.repsDone = 0;
+    this.resetUntil = 0;
+    this.startTime = Date.now();
+    this.onComplete = options.onComplete || null;
+    const reps = this.reps > 1 ? ` ${this.reps} times` : '';
+    speakCoach(`Let's perfect your ${moveName}. Assume the position and hold it${reps}.`);
     console.log(`Technique Trainer started: ${moveName}`);
   }
 
   stop() {
     this.currentMove = null;
     this.isHoldingPosition = false;
+    this.onComplete = null;
   }
 
   analyze(landmarks, width, height) {
@@ -32,10 +50,10 @@ export class TechniqueTrainer {
     // Direct the AI to the correct math for the selected punch
     switch(this.currentMove) {
       case 'Jab':
-        analysis = this.analyzeStraightPunch(landmarks, 'left');
+        analysis = this.analyzeStraightPunch(landmarks, getLeadSide());
         break;
       case 'Cross':
-        analysis = this.analyzeStraightPunch(landmarks, 'right');
+        analysis = this.analyzeStraightPunch(landmarks, getRearSide());
         break;
       case 'Left Hook':
         analysis = this.analyzeHook(landmarks, 'left');
@@ -49,20 +67,27 @@ export class TechniqueTrainer {
       case 'Right Uppercut':
         analysis = this.analyzeUppercut(landmarks, 'right');
         break;
+      case 'Left Body':
+        analysis = this.analyzeBodyShot(landmarks, 'left');
+        break;
+      case 'Right Body':
+        analysis = this.analyzeBodyShot(landmarks, 'right');
+        break;
       default:
         console.warn("Unknown move:", this.currentMove);
         break;
     }
 
     this.drawGuides(analysis, landmarks, width, height);
-    this.handleProgress(analysis);
+    // Between reps: let them come back to guard before the next hold counts
+    if (Date.now() >= this.resetUntil) this.handleProgress(analysis);
     
     return analysis;
   }
 
   // --- ANALYZERS (THE MATH) ---
 
-  // Logic for Jab & Cross
+  // Logic for Jab & Cross (side = lead hand for the jab, rear hand for the cross)
   analyzeStraightPunch(landmarks, side) {
     const shoulder = landmarks[side === 'left' ? 11 : 12];
     const elbow = landmarks[side === 'left' ? 13 : 14];
@@ -136,6 +161,38 @@ export class TechniqueTrainer {
     };
   }
 
+  // Logic for Body Shots
+  analyzeBodyShot(landmarks, side) {
+    const shoulder = landmarks[side === 'left' ? 11 : 12];
+    const elbow = landmarks[side === 'left' ? 13 : 14];
+    const wrist = landmarks[side === 'left' ? 15 : 16];
+    const hip = landmarks[side === 'left' ? 23 : 24];
+
+    const elbowAngle = computeAngle(shoulder, elbow, wrist);
+    let errors = [];
+
+    // 0. Hips must be in frame to know where the body is
+    if (!hip) {
+      errors.push("Step back! Show your hips");
+    } else {
+      // 1. Height Check (ribs = lower half of the torso, above the hips)
+      const torso = hip.y - shoulder.y;
+      if (wrist.y < shoulder.y + torso * 0.5) errors.push("Aim lower - to the ribs!");
+      if (wrist.y > hip.y) errors.push("Too low! Stay above the belt");
+    }
+
+    // 2. Angle Check
+    if (elbowAngle < 100) errors.push("Reach out more!");
+    if (elbowAngle > 160) errors.push("Don't lock the elbow");
+
+    return {
+      passed: errors.length === 0,
+      feedback: errors.length === 0 ? "RIB BREAKER! HOLD!" : errors[0],
+      errors,
+      data: { shoulder, elbow, wrist, angle: elbowAngle }
+    };
+  }
+
   // --- VISUALS ---
   drawGuides(analysis, landmarks, width, height) {
     if (!analysis.data || !analysis.data.shoulder) return;
@@ -222,12 +279,23 @@ export class TechniqueTrainer {
       // If held long enough
       if (progress >= 1) {
         this.isHoldingPosition = false;
+        this.repsDone++;
         playSound('combo'); // Success sound
+
+        if (this.repsDone < this.reps) {
+          speakCoach(`Good form! ${this.reps - this.repsDone} to go.`);
+          this.resetUntil = Date.now() + this.repResetTime;
+          document.getElementById('feedback').textContent = `Rep ${this.repsDone}/${this.reps}: ${this.currentMove} ✓ - back to guard`;
+          return;
+        }
         speakCoach("Good form!");
         
         // Stop logic so it doesn't spam
+        const move = this.currentMove;
+        const onComplete = this.onComplete;
         this.stop();
-        document.getElementById('feedback').textContent = `Passed: ${this.currentMove}`;
+        document.getElementById('feedback').textContent = `Passed: ${move}`;
+        if (onComplete) onComplete({ move, reps: this.repsDone, duration: Date.now() - this.startTime });
       }
     } else {
       this.isHoldingPosition = false;
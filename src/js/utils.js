@@ -1,4 +1,6 @@
 // src/js/utils.js - COMPLETE Enhanced Utilities and Sound Manager
+import { dbGet, dbPut, dbGetAll, dbClear } from './db.js';
+import { migrateSession } from './session.js';
 
 export function computeAngle(a, b, c) {
   const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
@@ -17,6 +19,9 @@ class SoundManager {
 
 
   initializeSounds() {
+    // No audio outside the browser (e.g. the Node replay tools)
+    if (typeof Audio === 'undefined') return;
+
     const soundPaths = {
       'hit': 'src/assets/sounds/playerHit.wav',
       'punch': 'src/assets/sounds/punch.wav',
@@ -67,6 +72,32 @@ class SoundManager {
     }
   }
 
+  // Synthesized tones (round bell, warning beeps) - no audio file needed
+  tone({ frequency = 880, duration = 0.15, type = 'sine', repeat = 1, gap = 0.1 } = {}) {
+    if (!this.enabled || typeof AudioContext === 'undefined') return;
+
+    try {
+      if (!this.audioContext) this.audioContext = new AudioContext();
+      const ctx = this.audioContext;
+
+      for (let i = 0; i < repeat; i++) {
+        const start = ctx.currentTime + i * (duration + gap);
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        // Sharp attack, exponential ring-out
+        gain.gain.setValueAtTime(this.volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        oscillator.connect(gain).connect(ctx.destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+      }
+    } catch (e) {
+      console.warn('Failed to play tone', e);
+    }
+  }
+
   stop(soundId) {
     const sound = this.sounds.get(soundId);
     if (sound) {
@@ -94,6 +125,15 @@ export function playSound(soundId, options) {
   return soundManager.play(soundId, options);
 }
 
+export function playTone(options) {
+  soundManager.tone(options);
+}
+
+// Boxing bell: three rings
+export function playBell() {
+  soundManager.tone({ frequency: 1320, duration: 0.6, type: 'triangle', repeat: 3, gap: 0.05 });
+}
+
 export function stopSound(soundId) {
   soundManager.stop(soundId);
 }
@@ -106,6 +146,39 @@ export function toggleSound() {
   return soundManager.toggle();
 }
 
+// Minimal pub/sub for engines the UI and drills listen to (RoundEngine, ProgramRunner)
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * @returns {Function} Unsubscribe
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const set = this.listeners.get(event);
+    if (set) set.delete(listener);
+  }
+
+  emit(event, payload) {
+    const set = this.listeners.get(event);
+    if (!set) return;
+    set.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (e) {
+        console.error(`${event} listener failed:`, e);
+      }
+    });
+  }
+}
+
 export function debounce(func, wait) {
   let timeout;
   return function executedFunction(...args) {
@@ -153,6 +226,40 @@ export function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+// FNV-1a: short, stable fingerprint of a string (unsigned 32-bit)
+export function hashString(text) {
+  let hash = 2166136261;
+  for (const ch of String(text)) {
+    hash = Math.imul(hash ^ ch.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded drop-in for Math.random(): the same seed always gives the same
+ * sequence (FNV-1a hash of the seed, then mulberry32)
+ * @param {string} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashString(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to mix up
+
+// Short code to share a challenge run
+export function makeSeed(length = 6) {
+  let seed = '';
+  for (let i = 0; i < length; i++) seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  return seed;
+}
+
 export class FPSCounter {
   constructor() {
     this.frames = [];
@@ -177,17 +284,111 @@ export class FPSCounter {
   }
 }
 
+// Lifetime totals, persisted in IndexedDB (see db.js). Bump STATE_VERSION and
+// add a step to STATE_MIGRATIONS whenever the shape of the state changes.
+export const STATE_VERSION = 1;
+
+function defaultState() {
+  return {
+    version: STATE_VERSION,
+    highScore: 0,
+    totalPunches: 0,
+    bestCombo: 0,
+    trainingTime: 0,
+    achievements: [],
+    sessions: 0,
+    perfectPunches: 0,
+  };
+}
+
+// STATE_MIGRATIONS[n] upgrades a version-n state to n + 1
+const STATE_MIGRATIONS = [
+  // 0 -> 1: the old in-memory state had no version field
+  (state) => ({ ...defaultState(), ...state, version: 1 }),
+];
+
+export function migrateState(saved) {
+  let state = { ...saved };
+  let version = state.version || 0;
+  while (version < STATE_VERSION) {
+    state = STATE_MIGRATIONS[version](state);
+    version++;
+  }
+  return { ...defaultState(), ...state, version: STATE_VERSION };
+}
+
+const COUNTER_KEYS = ['highScore', 'totalPunches', 'bestCombo', 'trainingTime', 'sessions', 'perfectPunches'];
+
+/**
+ * Check imported totals: known fields only, right types
+ * @throws {Error} Describing the first bad field
+ */
+export function validateState(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Stats must be an object');
+  const state = { version: Number.isInteger(data.version) ? data.version : 0 };
+  COUNTER_KEYS.forEach(key => {
+    if (data[key] === undefined) return;
+    if (typeof data[key] !== 'number' || !Number.isFinite(data[key]) || data[key] < 0) {
+      throw new Error(`Stats "${key}" must be a non-negative number`);
+    }
+    state[key] = data[key];
+  });
+  if (data.achievements !== undefined) {
+    if (!Array.isArray(data.achievements) || data.achievements.some(a => typeof a !== 'string')) {
+      throw new Error('Stats "achievements" must be a list of names');
+    }
+    state.achievements = [...data.achievements];
+  }
+  if (state.version > STATE_VERSION) throw new Error(`Stats are from a newer version (v${state.version})`);
+  return state;
+}
+
+// Counted from the session history: merging keeps ours and restoreSessions()
+// adds the sessions it actually inserts, so the totals match the history
+const HISTORY_KEYS = ['sessions', 'trainingTime'];
+
+// Best of both: counters can't be summed safely (a backup of this device would double them)
+function mergeStates(current, incoming) {
+  const merged = { ...current };
+  COUNTER_KEYS.filter(key => !HISTORY_KEYS.includes(key)).forEach(key => {
+    merged[key] = Math.max(current[key] || 0, incoming[key] || 0);
+  });
+  merged.achievements = [...new Set([...(current.achievements || []), ...(incoming.achievements || [])])];
+  return merged;
+}
+
+const STATE_KEY = 'state';
+const SAVE_DELAY_MS = 500; // Punches come in bursts - batch the writes
+
 export class StateManager {
   constructor() {
-    this.state = {
-      highScore: 0,
-      totalPunches: 0,
-      bestCombo: 0,
-      trainingTime: 0,
-      achievements: [],
-      sessions: 0,
-      perfectPunches: 0,
-    };
+    this.state = defaultState();
+    this.ready = null;
+    this.saveTimeout = null;
+  }
+
+  // Load the saved state (once); safe to call repeatedly
+  init() {
+    if (!this.ready) {
+      this.ready = dbGet('meta', STATE_KEY)
+        .then(record => {
+          if (record) {
+            // Anything counted before the load finished is added on top
+            const unsaved = this.state;
+            this.state = migrateState(record.value);
+            ['totalPunches', 'perfectPunches', 'trainingTime'].forEach(key => {
+              this.state[key] += unsaved[key] || 0;
+            });
+            if (record.value.version !== STATE_VERSION) this.save();
+          }
+          return this.getAll();
+        })
+        .catch(e => {
+          console.warn('Failed to load training history:', e);
+          return this.getAll();
+        });
+    }
+    return this.ready;
   }
 
   get(key) {
@@ -197,36 +398,116 @@ export class StateManager {
   set(key, value) {
     this.state[key] = value;
     console.log(`State updated: ${key} = ${value}`);
+    this.scheduleSave();
   }
 
   increment(key, amount = 1) {
     this.state[key] = (this.state[key] || 0) + amount;
+    this.scheduleSave();
   }
 
   getAll() {
     return { ...this.state };
   }
 
-  reset() {
-    this.state = {
-      highScore: 0,
-      totalPunches: 0,
-      bestCombo: 0,
-      trainingTime: 0,
-      achievements: [],
-      sessions: 0,
-      perfectPunches: 0,
-    };
+  /**
+   * @param {string} id - See achievements.js
+   * @returns {boolean} false when it was already unlocked
+   */
+  unlockAchievement(id) {
+    if (this.state.achievements.includes(id)) return false;
+    this.state.achievements = [...this.state.achievements, id];
+    this.scheduleSave();
+    return true;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  save() {
+    clearTimeout(this.saveTimeout);
+    return dbPut('meta', { key: STATE_KEY, value: this.state })
+      .catch(e => console.warn('Failed to save training history:', e));
+  }
+
+  /**
+   * Store a finished session and fold it into the lifetime totals
+   * @param {Object} session - See TrainingSession.toRecord()
+   * @returns {Promise<number>} The session id
+   */
+  async recordSession(session) {
+    await this.init();
+    const id = await dbPut('sessions', session);
+
+    this.state.sessions++;
+    this.state.trainingTime += session.duration || 0;
+    this.state.highScore = Math.max(this.state.highScore, session.score || 0);
+    this.state.bestCombo = Math.max(this.state.bestCombo, session.maxCombo || 0);
+    await this.save();
+    return id;
+  }
+
+  /**
+   * @param {Object} options - { mode, limit } - newest first
+   */
+  async getSessions({ mode = null, limit = Infinity } = {}) {
+    const sessions = (await dbGetAll('sessions')).map(migrateSession);
+    return sessions
+      .filter(session => !mode || session.mode === mode)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Put back sessions from a backup. Merging skips ones already stored
+   * (same start time and mode) and counts the added ones into the lifetime
+   * totals; replacing clears the history first (the backup's totals cover it).
+   * @returns {Promise<number>} Sessions added
+   */
+  async restoreSessions(sessions, { replace = false } = {}) {
+    await this.init();
+    if (replace) await dbClear('sessions');
+    const existing = replace ? new Set() : new Set((await dbGetAll('sessions')).map(s => `${s.startedAt}|${s.mode}`));
+
+    let added = 0;
+    for (const session of sessions) {
+      const key = `${session.startedAt}|${session.mode}`;
+      if (existing.has(key)) continue;
+      const { id, ...record } = session; // Fresh ids: the backup's may clash
+      await dbPut('sessions', record);
+      existing.add(key);
+      added++;
+      if (!replace) {
+        this.state.sessions++;
+        this.state.trainingTime += session.duration || 0;
+      }
+    }
+    if (added > 0 && !replace) await this.save();
+    return added;
+  }
+
+  async reset() {
+    this.state = defaultState();
+    await dbClear('sessions');
+    await this.save();
   }
 
   exportData() {
     return JSON.stringify(this.state, null, 2);
   }
 
-  importData(jsonString) {
+  /**
+   * @param {string} jsonString - Totals as written by exportData()
+   * @param {Object} options - { merge: keep the best of each counter, else replace }
+   * @returns {boolean} false when the data isn't valid totals
+   */
+  importData(jsonString, { merge = true } = {}) {
     try {
-      const data = JSON.parse(jsonString);
-      this.state = { ...this.state, ...data };
+      const data = migrateState(validateState(JSON.parse(jsonString)));
+      this.state = merge ? mergeStates(this.state, data) : data;
+      this.save();
       console.log('State imported successfully');
       return true;
     } catch (e) {
@@ -354,8 +635,25 @@ export function copyToClipboard(text) {
 }
 
 export function downloadAsJSON(data, filename = 'train-like-aj-data.json') {
-  const jsonStr = JSON.stringify(data, null, 2);
-  const blob = new Blob([jsonStr], { type: 'application/json' });
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+/**
+ * Rows of objects -> CSV text (RFC 4180 quoting), one column per key
+ * @param {Array} rows
+ * @param {Array} columns - Keys in column order (defaults to the first row's)
+ */
+export function toCSV(rows, columns = Object.keys(rows[0] || {})) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(key => cell(row[key])).join(','))].join('\r\n');
+}
+
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -366,6 +664,13 @@ export function downloadAsJSON(data, filename = 'train-like-aj-data.json') {
   URL.revokeObjectURL(url);
 }
 
+// For user-entered text going into innerHTML
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[ch]);
+}
+
 export function isMobileDevice() {
   return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
@@ -446,6 +751,8 @@ export function speakCoach(text) {
 export const Utils = {
   computeAngle,
   playSound,
+  playTone,
+  playBell,
   stopSound,
   setSoundVolume,
   toggleSound,
@@ -456,6 +763,8 @@ export const Utils = {
   lerp,
   clamp,
   randomInt,
+  createRandom,
+  makeSeed,
   easeInOutQuad,
   easeOutCubic,
   easeInOutCubic,
@@ -472,6 +781,9 @@ export const Utils = {
   vibrateDevice,
   copyToClipboard,
   downloadAsJSON,
+  toCSV,
+  downloadFile,
+  escapeHTML,
   isMobileDevice,
   isTouchDevice,
   getDevicePixelRatio,
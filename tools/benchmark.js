@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// tools/benchmark.js - Detection accuracy over labelled clips
+//
+// Usage: npm run benchmark -- [clips/] [--tolerance 300] [--min-speed 40] [--min-ext-ratio 0.5] [--stance southpaw] [--json]
+// Each clip.ndjson needs a clip.labels.json next to it (see tools/lib/clips.js).
+import { replayRecording } from '../src/js/recording.js';
+import { PUNCH_TYPES } from '../src/js/punch.js';
+import { parseArgs } from './lib/args.js';
+import { findClips, loadClip, loadLabels } from './lib/clips.js';
+import { matchEvents, buildConfusionMatrix, computeMetrics, NONE } from './lib/evaluate.js';
+
+const { files, flags } = parseArgs(process.argv.slice(2));
+const paths = files.length > 0 ? files : ['clips'];
+const tolerance = flags.tolerance !== undefined ? Number(flags.tolerance) : 300;
+
+const thresholds = {};
+if (flags['min-speed'] !== undefined) thresholds.minSpeed = Number(flags['min-speed']);
+if (flags['min-ext-ratio'] !== undefined) thresholds.minExtRatio = Number(flags['min-ext-ratio']);
+// Defaults to the stance stored in the clip header
+const stance = typeof flags.stance === 'string' ? flags.stance : undefined;
+
+let clipPaths;
+try {
+  clipPaths = findClips(paths);
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const allPairs = [];
+let evaluated = 0;
+
+for (const clipPath of clipPaths) {
+  let labels;
+  let recording;
+  try {
+    labels = loadLabels(clipPath);
+    if (!labels) {
+      console.warn(`⚠️  ${clipPath}: no labels file, skipped`);
+      continue;
+    }
+    recording = loadClip(clipPath);
+  } catch (e) {
+    console.error(`❌ ${clipPath}: ${e.message}`);
+    process.exitCode = 1;
+    continue;
+  }
+
+  const detections = replayRecording(recording, { thresholds, stance });
+  allPairs.push(...matchEvents(labels, detections, tolerance));
+  evaluated++;
+}
+
+if (evaluated === 0) {
+  console.error(`No labelled clips found in ${paths.join(', ')}`);
+  process.exit(1);
+}
+
+const matrix = buildConfusionMatrix(allPairs, PUNCH_TYPES);
+const metrics = computeMetrics(matrix, PUNCH_TYPES);
+
+if (flags.json) {
+  console.log(JSON.stringify({ clips: evaluated, tolerance, thresholds, metrics, confusion: matrix }, null, 2));
+  process.exit();
+}
+
+const pct = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+console.log(`\n📊 ${evaluated} clip(s), match window ±${tolerance}ms`);
+console.log(`\n${'Punch'.padEnd(16)}${'Actual'.padStart(7)}${'Found'.padStart(7)}${'Correct'.padStart(9)}  Precision  Recall     F1`);
+metrics.forEach(m => {
+  console.log(`${m.type.padEnd(16)}${String(m.actual).padStart(7)}${String(m.predicted).padStart(7)}${String(m.truePositives).padStart(9)}     ${pct(m.precision)}  ${pct(m.recall)}  ${pct(m.f1)}`);
+});
+
+// Confusion matrix: rows = what was thrown, columns = what we detected
+const SHORT = {
+  'Jab': 'JAB', 'Cross': 'CRS',
+  'Left Hook': 'LHK', 'Right Hook': 'RHK',
+  'Left Uppercut': 'LUP', 'Right Uppercut': 'RUP',
+  'Left Body': 'LBD', 'Right Body': 'RBD',
+  [NONE]: '---',
+};
+const keys = Object.keys(matrix);
+const short = (key) => SHORT[key] || key.slice(0, 3).toUpperCase();
+
+console.log('\nConfusion matrix (rows = thrown, columns = detected, --- = nothing)');
+console.log(''.padEnd(16) + keys.map(k => short(k).padStart(5)).join(''));
+keys.forEach(actual => {
+  console.log(actual.padEnd(16) + keys.map(predicted => {
+    const count = matrix[actual][predicted];
+    return (count === 0 ? '.' : String(count)).padStart(5);
+  }).join(''));
+});
+
+// Biggest mix-ups first, e.g. "Left Hook → Jab: 4"
+const confusions = [];
+keys.forEach(actual => keys.forEach(predicted => {
+  if (actual !== predicted && actual !== NONE && predicted !== NONE && matrix[actual][predicted] > 0) {
+    confusions.push({ actual, predicted, count: matrix[actual][predicted] });
+  }
+}));
+if (confusions.length > 0) {
+  console.log('\nMost common mix-ups:');
+  confusions.sort((a, b) => b.count - a.count).slice(0, 5)
+    .forEach(c => console.log(`  ${c.actual} → ${c.predicted}: ${c.count}`));
+}
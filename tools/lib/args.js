@@ -0,0 +1,25 @@
+// tools/lib/args.js - Minimal "--flag value" parser shared by the CLI tools
+
+export function parseArgs(argv) {
+  const files = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      files.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      flags[name] = true; // Boolean switch, e.g. --json
+    } else {
+      flags[name] = next;
+      i++;
+    }
+  }
+
+  return { files, flags };
+}
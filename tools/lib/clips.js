@@ -0,0 +1,46 @@
+// tools/lib/clips.js - Find recorded clips and their ground-truth labels on disk
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseRecording } from '../../src/js/recording.js';
+
+const LABELS_SUFFIX = '.labels.json';
+
+// clip.ndjson -> clip.labels.json (also clip.json -> clip.labels.json)
+export function labelsPathFor(clipPath) {
+  return clipPath.replace(/\.(nd)?json$/, '') + LABELS_SUFFIX;
+}
+
+// Every recording in a folder (or the given files), skipping the label files themselves
+export function findClips(paths) {
+  const clips = [];
+  paths.forEach(path => {
+    if (statSync(path).isDirectory()) {
+      readdirSync(path)
+        .filter(name => /\.(nd)?json$/.test(name) && !name.endsWith(LABELS_SUFFIX))
+        .sort()
+        .forEach(name => clips.push(join(path, name)));
+    } else {
+      clips.push(path);
+    }
+  });
+  return clips;
+}
+
+/**
+ * Labels file: a JSON array of { "t": <ms>, "punch": "<PUNCH_TYPES entry>" },
+ * using the same clock as the recording's frames.
+ */
+export function loadLabels(clipPath) {
+  const path = labelsPathFor(clipPath);
+  if (!existsSync(path)) return null;
+
+  const labels = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(labels) || labels.some(l => typeof l.t !== 'number' || typeof l.punch !== 'string')) {
+    throw new Error(`${path}: expected an array of { t, punch }`);
+  }
+  return labels;
+}
+
+export function loadClip(clipPath) {
+  return parseRecording(readFileSync(clipPath, 'utf8'));
+}
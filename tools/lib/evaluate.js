@@ -0,0 +1,84 @@
+// tools/lib/evaluate.js - Match detected punches to ground-truth labels and score them
+
+// Row/column used for "nothing there": a missed label or a phantom detection
+export const NONE = '(none)';
+
+/**
+ * Pair each label with at most one detection, closest in time first.
+ * @param {Array} labels - [{ t, punch }] ground truth
+ * @param {Array} detections - [{ t, punch }] from replayRecording()
+ * @param {number} toleranceMs - Max |t| difference for a pair to count
+ * @returns {Array} [{ actual, predicted, label, detection }]
+ */
+export function matchEvents(labels, detections, toleranceMs = 300) {
+  const candidates = [];
+  labels.forEach((label, li) => {
+    detections.forEach((detection, di) => {
+      const dt = Math.abs(detection.t - label.t);
+      if (dt <= toleranceMs) candidates.push({ li, di, dt });
+    });
+  });
+  candidates.sort((a, b) => a.dt - b.dt);
+
+  const usedLabels = new Set();
+  const usedDetections = new Set();
+  const pairs = [];
+
+  candidates.forEach(({ li, di }) => {
+    if (usedLabels.has(li) || usedDetections.has(di)) return;
+    usedLabels.add(li);
+    usedDetections.add(di);
+    pairs.push({ actual: labels[li].punch, predicted: detections[di].punch, label: labels[li], detection: detections[di] });
+  });
+
+  labels.forEach((label, li) => {
+    if (!usedLabels.has(li)) pairs.push({ actual: label.punch, predicted: NONE, label, detection: null });
+  });
+  detections.forEach((detection, di) => {
+    if (!usedDetections.has(di)) pairs.push({ actual: NONE, predicted: detection.punch, label: null, detection });
+  });
+
+  return pairs;
+}
+
+// matrix[actual][predicted] = count, over types + NONE
+export function buildConfusionMatrix(pairs, types) {
+  const keys = [...types, NONE];
+  const matrix = {};
+  keys.forEach(actual => {
+    matrix[actual] = {};
+    keys.forEach(predicted => { matrix[actual][predicted] = 0; });
+  });
+
+  pairs.forEach(({ actual, predicted }) => {
+    // Labels/detections outside the known types still count, as their own row/column
+    if (!matrix[actual]) {
+      matrix[actual] = {};
+      Object.keys(matrix[NONE]).forEach(key => { matrix[actual][key] = 0; });
+    }
+    if (matrix[actual][predicted] === undefined) {
+      Object.keys(matrix).forEach(row => { matrix[row][predicted] = 0; });
+    }
+    matrix[actual][predicted]++;
+  });
+
+  return matrix;
+}
+
+// Precision/recall per punch type from the confusion matrix
+export function computeMetrics(matrix, types) {
+  const rows = Object.keys(matrix);
+
+  return types.map(type => {
+    const truePositives = matrix[type][type];
+    const predictedTotal = rows.reduce((sum, row) => sum + matrix[row][type], 0);
+    const actualTotal = Object.values(matrix[type]).reduce((sum, v) => sum + v, 0);
+
+    const precision = predictedTotal > 0 ? truePositives / predictedTotal : null;
+    const recall = actualTotal > 0 ? truePositives / actualTotal : null;
+    // 2PR/(P+R) written so a type that is never hit scores 0, not n/a (null = never seen at all)
+    const f1 = actualTotal + predictedTotal > 0 ? (2 * truePositives) / (actualTotal + predictedTotal) : null;
+
+    return { type, truePositives, predicted: predictedTotal, actual: actualTotal, precision, recall, f1 };
+  });
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// tools/replay.js - Headless punch detection over a recorded landmark session
+//
+// Usage: npm run replay -- <recording.ndjson> [--min-speed 40] [--min-ext-ratio 0.5] [--stance southpaw] [--json]
+import { readFileSync } from 'node:fs';
+import { parseRecording, replayRecording } from '../src/js/recording.js';
+import { PUNCH_TYPES } from '../src/js/punch.js';
+import { parseArgs } from './lib/args.js';
+
+const { files, flags } = parseArgs(process.argv.slice(2));
+
+if (files.length === 0) {
+  console.error('Usage: npm run replay -- <recording.ndjson> [--min-speed N] [--min-ext-ratio N] [--json]');
+  process.exit(1);
+}
+
+const thresholds = {};
+if (flags['min-speed'] !== undefined) thresholds.minSpeed = Number(flags['min-speed']);
+if (flags['min-ext-ratio'] !== undefined) thresholds.minExtRatio = Number(flags['min-ext-ratio']);
+// Defaults to the stance stored in the clip header
+const stance = typeof flags.stance === 'string' ? flags.stance : undefined;
+
+for (const file of files) {
+  let recording;
+  try {
+    recording = parseRecording(readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`❌ ${file}: ${e.message}`);
+    process.exitCode = 1;
+    continue;
+  }
+
+  const punches = replayRecording(recording, { thresholds, stance });
+
+  if (flags.json) {
+    console.log(JSON.stringify({ file, thresholds, punches: punches.map(({ t, punch, confidence }) => ({ t, punch, confidence })) }));
+    continue;
+  }
+
+  const duration = recording.frames.length > 0 ? recording.frames[recording.frames.length - 1].t : 0;
+  console.log(`\n🥊 ${file} - ${recording.frames.length} frames, ${(duration / 1000).toFixed(1)}s`);
+  punches.forEach(({ t, punch, confidence }) => {
+    console.log(`  ${(t / 1000).toFixed(3).padStart(8)}s  ${punch.padEnd(15)} ${confidence}%`);
+  });
+
+  const counts = PUNCH_TYPES
+    .map(type => [type, punches.filter(p => p.punch === type).length])
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${type}: ${count}`);
+  console.log(`  Total: ${punches.length}${counts.length ? ` (${counts.join(', ')})` : ''}`);
+}